@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo, useDeferredValue, createContext, useContext } from 'react';
 import { initializeApp } from 'firebase/app';
 import { 
   getAuth, 
@@ -8,13 +8,28 @@ import {
 } from 'firebase/auth';
 import { 
   getFirestore, 
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  waitForPendingWrites,
   doc, 
-  setDoc, 
+  setDoc as firestoreSetDoc, 
   onSnapshot, 
   serverTimestamp,
   collection,
-  addDoc,
-  deleteDoc
+  addDoc as firestoreAddDoc,
+  deleteDoc as firestoreDeleteDoc,
+  getDoc,
+  getDocs,
+  query,
+  orderBy,
+  limit,
+  where,
+  documentId,
+  arrayUnion,
+  deleteField,
+  runTransaction as firestoreRunTransaction,
+  writeBatch as firestoreWriteBatch
 } from 'firebase/firestore';
 import { 
   Image as ImageIcon, 
@@ -28,564 +43,4644 @@ import {
   Check,
   X,
   Folder as FolderIconLucide,
-  FileText
+  FileText,
+  History,
+  RotateCcw,
+  Lock,
+  Settings,
+  KeyRound,
+  ArchiveRestore,
+  FolderInput,
+  ChevronRight,
+  ChevronDown,
+  FolderTree as FolderTreeIcon,
+  Search,
+  Archive,
+  Users,
+  ChevronLeft,
+  ZoomIn,
+  ZoomOut,
+  Maximize2,
+  Clock,
+  Flame,
+  Eye,
+  Activity,
+  MessageSquare,
+  AlertTriangle
 } from 'lucide-react';
 
 // --- Configuração do Firebase ---
 const firebaseConfig = JSON.parse(__firebase_config);
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
-const db = getFirestore(app);
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 
-// --- Utilitários ---
-const compressImage = (file) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-    reader.onload = (event) => {
-      const img = new Image();
-      img.src = event.target.result;
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        // Mantemos 800px para bom equilíbrio entre qualidade e velocidade
-        const MAX_WIDTH = 800;
-        const scaleSize = MAX_WIDTH / img.width;
-        canvas.width = MAX_WIDTH;
-        canvas.height = img.height * scaleSize;
-        
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-        
-        // JPEG 0.6
-        const dataUrl = canvas.toDataURL('image/jpeg', 0.6);
-        resolve(dataUrl);
-      };
-      img.onerror = (error) => reject(error);
-    };
-    reader.onerror = (error) => reject(error);
-  });
+// Cache persistente (IndexedDB): a sala continua legível offline e as escritas feitas
+// sem conexão ficam na fila local, sendo reenviadas quando a rede volta (mesmo após recarregar).
+const createDb = () => {
+  try {
+    return initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+  } catch (e) {
+    console.warn("Cache offline indisponível:", e);
+    return getFirestore(app);
+  }
 };
+const db = createDb();
 
-const debounce = (func, wait) => {
-  let timeout;
-  return (...args) => {
-    clearTimeout(timeout);
-    timeout = setTimeout(() => func(...args), wait);
+// --- Escritas Pendentes ---
+// Toda escrita passa por trackWrite: a promessa do Firestore só resolve quando o servidor
+// confirma, então o contador mostra quantas escritas ainda estão só neste navegador. Uma ação
+// pode gerar várias (criar um documento grava o item e o conteúdo), por isso o rótulo fala em escritas.
+let pendingWriteCount = 0;
+const pendingWriteListeners = new Set();
+
+const trackWrite = (promise) => {
+  const notify = () => pendingWriteListeners.forEach(listener => listener(pendingWriteCount));
+  pendingWriteCount++;
+  notify();
+  const done = () => {
+    pendingWriteCount--;
+    notify();
   };
+  promise.then(done, done);
+  return promise;
 };
 
-// Formata data de forma segura
-const safeFormatTime = (timestamp) => {
-  if (!timestamp) return '';
-  if (timestamp.toDate) return timestamp.toDate().toLocaleTimeString();
-  if (timestamp.seconds) return new Date(timestamp.seconds * 1000).toLocaleTimeString();
-  return new Date(timestamp).toLocaleTimeString();
+const subscribePendingWrites = (listener) => {
+  pendingWriteListeners.add(listener);
+  listener(pendingWriteCount);
+  return () => pendingWriteListeners.delete(listener);
 };
 
-// --- Componente Principal ---
-export default function App() {
-  const [user, setUser] = useState(null);
-  const [currentPath, setCurrentPath] = useState('');
-  const [inputValue, setInputValue] = useState('');
-  
-  useEffect(() => {
-    const initAuth = async () => {
-      try {
-        if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-          await signInWithCustomToken(auth, __initial_auth_token);
-        } else {
-          await signInAnonymously(auth);
-        }
-      } catch (err) {
-        console.error("Erro na autenticação:", err);
+// --- Acesso Somente Leitura ---
+// Quem recusa as escritas de leitores é o servidor: as regras em firestore.rules só aceitam
+// quem é dono ou registrou a chave de edição atual (sharepad_rooms/{slug}/editors/{uid}).
+// A conferência abaixo é só do lado do cliente: evita que a escrita de um leitor entre na
+// fila offline e falhe mais tarde, e dá uma mensagem clara na hora.
+// Transações e lotes recebem um objeto que confere cada set/update/delete.
+const READ_ONLY_MESSAGE = 'Você tem acesso somente leitura a esta sala.';
+let readOnlyRoomSlug = null;
+const setReadOnlyRoom = (slug) => {
+  readOnlyRoomSlug = slug;
+};
+
+const assertWritable = (ref) => {
+  if (!readOnlyRoomSlug) return;
+  // artifacts/{appId}/public/data/{coleção}/...
+  if (ref.path.split('/')[4] === `sharepad_presence_${readOnlyRoomSlug}`) return;
+  throw new Error(READ_ONLY_MESSAGE);
+};
+
+const guardedWrite = (ref, write) => {
+  try {
+    assertWritable(ref);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+  return trackWrite(write());
+};
+
+const guardWriter = (writer) => {
+  const guarded = new Proxy(writer, {
+    get(target, prop) {
+      const value = target[prop];
+      if (typeof value !== 'function') return value;
+      if (prop === 'set' || prop === 'update' || prop === 'delete') {
+        return (ref, ...args) => {
+          assertWritable(ref);
+          value.call(target, ref, ...args);
+          return guarded;
+        };
       }
-    };
-    initAuth();
-    const unsubscribe = onAuthStateChanged(auth, setUser);
-    return () => unsubscribe();
-  }, []);
+      return value.bind(target);
+    },
+  });
+  return guarded;
+};
 
-  const navigateToRoom = (path) => {
-    const cleanPath = path.trim().replace(/[^a-zA-Z0-9-_]/g, '').toLowerCase();
-    if (cleanPath) {
-      setCurrentPath(cleanPath);
+const setDoc = (ref, ...args) => guardedWrite(ref, () => firestoreSetDoc(ref, ...args));
+const addDoc = (ref, ...args) => guardedWrite(ref, () => firestoreAddDoc(ref, ...args));
+const deleteDoc = (ref) => guardedWrite(ref, () => firestoreDeleteDoc(ref));
+// Limpeza automática (itens vencidos, lixeira além do prazo): roda também para leitores, e
+// as regras aceitam porque o registro do item mostra que o prazo passou
+const deleteDueDoc = (ref) => trackWrite(firestoreDeleteDoc(ref));
+const runTransaction = (database, update, options) =>
+  firestoreRunTransaction(database, (transaction) => update(guardWriter(transaction)), options);
+const writeBatch = (database) => guardWriter(firestoreWriteBatch(database));
+const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+// Configurações de cada sala (dono, senha...) ficam em sharepad_rooms/{slug}
+const roomMetaDocRef = (slug) => doc(db, 'artifacts', appId, 'public', 'data', 'sharepad_rooms', slug);
+
+// Histórico de versões: no máximo um snapshot a cada 5 minutos de edição contínua, mais o
+// texto de antes de cada sequência de edições (separadas por VERSION_BURST_GAP sem digitar)
+// e de antes de apagar boa parte do documento de uma vez
+const VERSION_INTERVAL = 5 * 60 * 1000;
+const VERSION_BURST_GAP = 30 * 1000;
+const VERSION_BIG_DELETION = 200; // caracteres
+const MAX_VERSIONS = 50;
+
+// Lixeira: itens apagados ficam recuperáveis por este número de dias (configurável por sala)
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expiração: a sala (roomMeta.expiresAt) e cada item (expiresAt) são apagados por quem estiver
+// com a sala aberta quando o prazo passa, qualquer que seja o papel (as regras deixam qualquer
+// visitante apagar o que venceu); até lá, itens vencidos já ficam fora da árvore para todos.
+// Documentos de leitura única (burnAfterReading) somem quando quem os abriu (readBy, alguém
+// além do autor) sai deles, ou após BURN_READ_WINDOW.
+const HOUR_MS = 60 * 60 * 1000;
+const BURN_READ_WINDOW = 15 * 60 * 1000;
+const EXPIRY_PRESETS = [
+  { label: '1 hora', ms: HOUR_MS },
+  { label: '1 dia', ms: DAY_MS },
+  { label: '7 dias', ms: 7 * DAY_MS },
+  { label: '30 dias', ms: 30 * DAY_MS },
+];
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // limite do setTimeout (~24 dias)
+const itemExpired = (item, now = Date.now()) => item.type !== 'folder' && item.expiresAt <= now;
+
+// --- Processamento de Imagens da Galeria ---
+// Cada sala escolhe um preset (roomMeta.imagePreset). As imagens só são reduzidas, nunca
+// ampliadas; a imagem completa vai para sharepad_blobs e a galeria lista só a miniatura.
+const IMAGE_PRESETS = {
+  original: { label: 'Original (sem alterações)', maxDimension: null, quality: null },
+  high: { label: 'Alta (até 2560px)', maxDimension: 2560, quality: 0.9 },
+  balanced: { label: 'Equilibrada (até 1600px)', maxDimension: 1600, quality: 0.8 },
+  small: { label: 'Pequena (até 800px)', maxDimension: 800, quality: 0.6 },
+};
+const DEFAULT_IMAGE_PRESET = 'balanced';
+const THUMBNAIL_SIZE = 240;
+
+// Navegadores atuais já giram a imagem pela orientação EXIF ao decodificar;
+// nos antigos (sem image-orientation) a rotação é aplicada à mão no canvas.
+const browserAppliesExifOrientation = typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image');
+
+// Orientação EXIF (1 a 8) de um JPEG; 1 quando não houver
+const readExifOrientation = async (file) => {
+  if (!/jpe?g/i.test(file.type)) return 1;
+  const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if (marker === 0xFFE1 && offset + 14 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      const tiff = offset + 10;
+      const little = view.getUint16(tiff) === 0x4949;
+      const ifd = tiff + view.getUint32(tiff + 4, little);
+      if (ifd + 2 > view.byteLength) return 1;
+      const entries = view.getUint16(ifd, little);
+      for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > view.byteLength) return 1;
+        if (view.getUint16(entry, little) === 0x0112) return view.getUint16(entry + 8, little);
+      }
+      return 1;
     }
-  };
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return 1;
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  return 1;
+};
 
-  if (!user) {
-    return (
-      <div className="min-h-screen flex items-center justify-center bg-gray-50">
-        <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
-      </div>
-    );
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (e) {
+      // formatos que o createImageBitmap não aceita (ex.: SVG) caem no <img>
+    }
   }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
 
-  return (
-    <div className="min-h-screen bg-gray-50 font-sans text-gray-900">
-      {!currentPath ? (
-        <LandingPage onNavigate={navigateToRoom} inputValue={inputValue} setInputValue={setInputValue} />
-      ) : (
-        <Room slug={currentPath} onExit={() => setCurrentPath('')} user={user} />
-      )}
-    </div>
-  );
-}
+// Desenha a imagem já na orientação correta, escalada por `scale`
+const renderImageToCanvas = (source, orientation, scale, { smooth = true } = {}) => {
+  const manual = orientation > 1 && !browserAppliesExifOrientation;
+  const swap = manual && orientation >= 5;
+  const dw = Math.max(1, Math.round((source.naturalWidth || source.width) * scale));
+  const dh = Math.max(1, Math.round((source.naturalHeight || source.height) * scale));
+  const canvas = document.createElement('canvas');
+  canvas.width = swap ? dh : dw;
+  canvas.height = swap ? dw : dh;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = smooth;
+  ctx.imageSmoothingQuality = 'high';
+  if (manual) {
+    const transforms = {
+      2: [-1, 0, 0, 1, dw, 0],
+      3: [-1, 0, 0, -1, dw, dh],
+      4: [1, 0, 0, -1, 0, dh],
+      5: [0, 1, 1, 0, 0, 0],
+      6: [0, 1, -1, 0, dh, 0],
+      7: [0, -1, -1, 0, dh, dw],
+      8: [0, -1, 1, 0, 0, dw],
+    };
+    if (transforms[orientation]) ctx.transform(...transforms[orientation]);
+  }
+  ctx.drawImage(source, 0, 0, dw, dh);
+  return canvas;
+};
 
-// --- Tela Inicial ---
-function LandingPage({ onNavigate, inputValue, setInputValue }) {
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    onNavigate(inputValue);
-  };
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve) => canvas.toBlob(resolve, type, quality));
 
-  return (
-    <div className="flex flex-col items-center justify-center min-h-screen p-4 bg-gradient-to-br from-blue-50 to-indigo-50">
-      <div className="w-full max-w-md bg-white rounded-2xl shadow-xl overflow-hidden">
-        <div className="bg-blue-600 p-8 text-center">
-          <h1 className="text-3xl font-bold text-white mb-2 flex items-center justify-center gap-2">
-            <Share2 className="w-8 h-8" /> SharePad
-          </h1>
-          <p className="text-blue-100">
-            Texto, pastas e fotos ilimitadas, instantaneamente.
-          </p>
-        </div>
-        
-        <div className="p-8">
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Escolha o nome da sua sala
-              </label>
-              <div className="relative">
-                <span className="absolute left-3 top-3 text-gray-400 font-mono">/</span>
-                <input
-                  type="text"
-                  value={inputValue}
-                  onChange={(e) => setInputValue(e.target.value)}
-                  placeholder="ex: festa-surpresa"
-                  className="w-full pl-6 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all"
-                  autoFocus
-                />
-              </div>
-              <p className="text-xs text-gray-500 mt-2">
-                Dica: Use um nome único para manter seus dados privados.
-              </p>
-            </div>
-            
-            <button
-              type="submit"
-              disabled={!inputValue.trim()}
-              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              Acessar <LinkIcon className="w-4 h-4" />
-            </button>
-          </form>
-        </div>
-        
-        <div className="bg-gray-50 p-4 border-t border-gray-100 text-center text-sm text-gray-500">
-          Sem login. Sem limites. Apenas colaboração.
-        </div>
-      </div>
-    </div>
-  );
-}
+// Transparência ou poucas cores (print de tela, diagrama) pedem PNG em vez de JPEG
+const analyzeImage = (source, orientation, longestSide) => {
+  const canvas = renderImageToCanvas(source, orientation, Math.min(1, 256 / longestSide), { smooth: false });
+  const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  const colors = new Set();
+  let hasAlpha = false;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 255) hasAlpha = true;
+    if (colors.size <= 4096) colors.add((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+  }
+  return { hasAlpha, isGraphic: hasAlpha || colors.size <= 4096 };
+};
 
-// --- Componente da Sala ---
-function Room({ slug, onExit, user }) {
-  const [text, setText] = useState('');
-  const [images, setImages] = useState([]);
-  const [status, setStatus] = useState('sincronizado');
-  const [uploading, setUploading] = useState(false); // Para imagens
-  const [fileUploading, setFileUploading] = useState(false); // Para arquivos genéricos
-  const [showSidebar, setShowSidebar] = useState(false);
-  const textareaRef = useRef(null);
-  const [copied, setCopied] = useState(false);
-  
-  // Modals/Dialogs
-  const [showCreationModal, setShowCreationModal] = useState(false);
-  const [creationType, setCreationType] = useState(null); // 'folder' or 'document'
-  const [showConfirmModal, setShowConfirmModal] = useState(null); // { message, onConfirm }
-  const [showRenameModal, setShowRenameModal] = useState(null); // { item, onRename }
+// Retorna { blob, mimeType, width, height, thumbnail (data URL) }
+const compressImage = async (file, presetKey = DEFAULT_IMAGE_PRESET) => {
+  const preset = IMAGE_PRESETS[presetKey] || IMAGE_PRESETS[DEFAULT_IMAGE_PRESET];
+  const orientation = await readExifOrientation(file);
+  const source = await decodeImage(file);
+  try {
+    const swap = orientation >= 5 && !browserAppliesExifOrientation;
+    const width = swap ? (source.naturalHeight || source.height) : (source.naturalWidth || source.width);
+    const height = swap ? (source.naturalWidth || source.width) : (source.naturalHeight || source.height);
+    const longestSide = Math.max(width, height);
+    const { hasAlpha, isGraphic } = analyzeImage(source, orientation, longestSide);
 
-  // Estados para navegação de arquivos/pastas
-  const [currentFileId, setCurrentFileId] = useState(null); 
-  const [currentFolderName, setCurrentFolderName] = useState('Raiz'); 
-  const [currentFolderId, setCurrentFolderId] = useState(null); 
-  const [folderContent, setFolderContent] = useState([]); 
-  const [allItems, setAllItems] = useState([]); 
-  
-  // Referências do Firebase
-  const roomFilesColRef = collection(db, 'artifacts', appId, 'public', 'data', `sharepad_files_${slug}`);
-  const textDocRef = currentFileId ? doc(roomFilesColRef, currentFileId) : null;
-  const imagesColRef = collection(db, 'artifacts', appId, 'public', 'data', `sharepad_images_${slug}`);
+    const thumbCanvas = renderImageToCanvas(source, orientation, Math.min(1, THUMBNAIL_SIZE / longestSide));
+    const thumbnail = hasAlpha ? thumbCanvas.toDataURL('image/png') : thumbCanvas.toDataURL('image/jpeg', 0.7);
 
-  // 1. Sincronização de Arquivos/Pastas (Conteúdo da Pasta Atual e Lista Total)
-  useEffect(() => {
-    const unsubscribe = onSnapshot(roomFilesColRef, (snapshot) => {
-        const items = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
-        
-        setAllItems(items); 
-        
-        const content = items
-            .filter(item => item.parent === currentFolderId)
-            .sort((a, b) => {
-                if (a.type === 'folder' && b.type !== 'folder') return -1;
-                if (a.type !== 'folder' && b.type === 'folder') return 1;
-                return a.name.localeCompare(b.name);
-            });
-            
-        setFolderContent(content);
-        
-        if (currentFolderId) {
-            const folder = items.find(item => item.id === currentFolderId && item.type === 'folder');
-            setCurrentFolderName(folder ? folder.name : 'Pasta Não Encontrada');
-        } else {
-            setCurrentFolderName('Raiz');
-        }
+    // GIF (animação) e SVG (vetor) nunca são recodificados
+    const untouched = { blob: file, mimeType: file.type, width, height, thumbnail };
+    if (!preset.maxDimension || /image\/(gif|svg)/.test(file.type)) return untouched;
 
-    }, (error) => {
-        console.error("Erro ao sincronizar arquivos:", error);
-    });
-    return () => unsubscribe();
-  }, [slug, currentFolderId]);
-  
-  // 2. Sincronização de Texto (Carrega o conteúdo do arquivo selecionado)
-  useEffect(() => {
-    if (!textDocRef) {
-        setText('');
-        return;
-    }
-    
-    setStatus('sincronizando documento...');
-    const unsubscribe = onSnapshot(textDocRef, (docSnap) => {
-      if (docSnap.exists()) {
-        const data = docSnap.data();
-        if (document.activeElement !== textareaRef.current) {
-          setText(data.content || '');
-        }
-        setStatus('documento sincronizado');
-      } else {
-        setCurrentFileId(null);
-        setText('');
-        setStatus('documento não encontrado');
+    const scale = Math.min(1, preset.maxDimension / longestSide);
+    let type = 'image/jpeg';
+    if (file.type === 'image/png' && isGraphic) type = 'image/png';
+    if (file.type === 'image/webp') type = 'image/webp';
+
+    const canvas = renderImageToCanvas(source, orientation, scale);
+    let blob = await canvasToBlob(canvas, type, preset.quality);
+    // Sem codificador WebP o navegador devolve PNG
+    if (!blob || blob.type !== type) blob = await canvasToBlob(canvas, hasAlpha ? 'image/png' : 'image/jpeg', preset.quality);
+
+    // Sem redução nem rotação, recodificar só vale se ficar menor (um JPEG girado via EXIF é
+    // sempre recodificado, já com a rotação aplicada nos pixels)
+    const unchanged = scale === 1 && orientation === 1;
+    if (unchanged && blob.size >= file.size) return untouched;
+    return { blob, mimeType: blob.type, width: canvas.width, height: canvas.height, thumbnail };
+  } finally {
+    source.close?.();
+  }
+};
+
+// --- Utilitários ---
+// O Firestore não apaga subcoleções junto com o documento pai
+const deleteSubcollection = async (parentRef, name, remove = deleteDoc) => {
+  const snapshot = await getDocs(collection(parentRef, name));
+  await Promise.all(snapshot.docs.map(d => remove(d.ref)));
+};
+
+// Ids de todos os itens abaixo de `rootId` na árvore (sem incluir o próprio)
+const collectDescendantIds = (items, rootId) => {
+  const ids = [];
+  const stack = [rootId];
+  while (stack.length > 0) {
+    const parentId = stack.pop();
+    items.forEach(item => {
+      if (item.parent === parentId) {
+        ids.push(item.id);
+        if (item.type === 'folder') stack.push(item.id);
       }
-    }, (error) => {
-      console.error("Erro texto:", error);
-      setStatus('erro conexão texto');
     });
-    return () => unsubscribe();
-  }, [currentFileId]);
+  }
+  return ids;
+};
 
-  // 3. Sincronização de Imagens
-  useEffect(() => {
-    const unsubscribe = onSnapshot(imagesColRef, (snapshot) => {
-      const loadedImgs = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
-      loadedImgs.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
-      setImages(loadedImgs);
-    }, (error) => {
-      console.error("Erro imagens:", error);
-    });
-    return () => unsubscribe();
-  }, [slug]);
+// Uma pasta não pode ir para dentro de si mesma nem de um descendente
+const canMoveItem = (items, itemId, targetFolderId) => {
+  const item = items.find(i => i.id === itemId);
+  if (!item || itemId === targetFolderId) return false;
+  if ((item.parent ?? null) === (targetFolderId ?? null)) return false;
+  if (targetFolderId && !items.some(i => i.id === targetFolderId && i.type === 'folder')) return false;
+  return !(item.type === 'folder' && collectDescendantIds(items, itemId).includes(targetFolderId));
+};
 
-  // 4. Salvar Texto (Debounce)
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  const debouncedSave = useCallback(
-    debounce(async (newText) => {
-      if (!textDocRef) return;
-      setStatus('salvando...');
-      try {
-        await setDoc(textDocRef, { content: newText, updatedAt: serverTimestamp() }, { merge: true });
-        setStatus('documento sincronizado');
-      } catch (e) {
-        console.error(e);
-        setStatus('erro ao salvar');
-      }
-    }, 1000),
-    [textDocRef]
-  );
+// Hierarquia de pastas: [{ folder, children: [...] }], ordenada por nome
+const buildFolderTree = (items, parentId = null) => items
+  .filter(item => item.type === 'folder' && (item.parent ?? null) === parentId)
+  .sort((a, b) => a.name.localeCompare(b.name))
+  .map(folder => ({ folder, children: buildFolderTree(items, folder.id) }));
 
-  const handleTextChange = (e) => {
-    const newVal = e.target.value;
-    setText(newVal);
-    debouncedSave(newVal);
-  };
-  
-  // 5. Handlers de Navegação e Criação
-  const navigateToFolder = (itemId) => {
-    setCurrentFolderId(itemId);
-    setCurrentFileId(null);
-  };
+// Caminho de pastas da raiz até `folderId` (inclusive), para a trilha de navegação
+const getFolderPath = (items, folderId) => {
+  const path = [];
+  const seen = new Set();
+  let current = items.find(i => i.id === folderId && i.type === 'folder');
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    path.unshift(current);
+    current = items.find(i => i.id === current.parent && i.type === 'folder');
+  }
+  return path;
+};
 
-  const openDocument = (itemId) => {
-    setCurrentFileId(itemId);
-  };
+// Tipo usado no dataTransfer para arrastar itens dentro da sala
+const ITEM_DRAG_TYPE = 'application/x-sharepad-item';
+const hasDraggedItem = (e) => Array.from(e.dataTransfer?.types || []).includes(ITEM_DRAG_TYPE);
 
-  const goBack = () => {
-    // 1. Se estiver editando um arquivo, volte para a visualização da pasta
-    if (currentFileId) {
-      setCurrentFileId(null); 
-      return; 
-    }
-    
-    // 2. Se estiver em uma pasta, encontre o pai
-    if (currentFolderId) {
-        const currentFolder = allItems.find(i => i.id === currentFolderId);
-        
-        if (currentFolder && currentFolder.parent !== undefined) {
-            setCurrentFolderId(currentFolder.parent);
-        } else {
-            setCurrentFolderId(null);
-        }
+// Grava várias alterações (merge) respeitando o limite de 500 operações por lote.
+// Todos os lotes entram na fila de uma vez, para funcionar também offline.
+const commitMergeWrites = (writes) => {
+  const commits = [];
+  for (let i = 0; i < writes.length; i += 500) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + 500).forEach(([ref, data]) => batch.set(ref, data, { merge: true }));
+    commits.push(trackWrite(batch.commit()));
+  }
+  return Promise.all(commits);
+};
+
+// Tamanho em bytes do conteúdo de um data URL base64
+const dataUrlSize = (dataUrl) => {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  const padding = base64.endsWith('==') ? 2 : (base64.endsWith('=') ? 1 : 0);
+  return Math.floor(base64.length * 3 / 4) - padding;
+};
+
+const textSize = (value) => new Blob([value]).size;
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+  return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+};
+
+const downloadUrl = (url, name) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+};
+
+const downloadBlob = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, name);
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+};
+
+// Capturas de tela chegam do clipboard como "image.png"; ganham um nome com data e hora
+const namePastedFile = (file) => {
+  if (file.name && !/^image\.\w+$/i.test(file.name)) return file;
+  const stamp = new Date().toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+  const ext = (file.type.split('/')[1] || 'bin').replace('jpeg', 'jpg').replace(/\+.*/, '');
+  return new File([file], `colado-${stamp}.${ext}`, { type: file.type, lastModified: file.lastModified });
+};
+
+// --- Arrastar e Soltar Arquivos e Pastas ---
+const hasDraggedFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+const readDirectoryEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+const entryToFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+// Percorre o que foi solto, incluindo pastas inteiras.
+// Retorna { files: [{ file, path }], folders: [path] }, onde path é a lista de nomes das pastas.
+const collectDroppedFiles = async (dataTransfer) => {
+  // As entradas precisam ser lidas antes do primeiro await, enquanto o evento é válido
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (entries.length === 0) {
+    return { files: Array.from(dataTransfer.files || []).map(file => ({ file, path: [] })), folders: [] };
+  }
+
+  const files = [];
+  const folders = [];
+  const walk = async (entry, path) => {
+    if (entry.isFile) {
+      files.push({ file: await entryToFile(entry), path });
+    } else if (entry.isDirectory) {
+      const folderPath = [...path, entry.name];
+      folders.push(folderPath);
+      const reader = entry.createReader();
+      // readEntries devolve os filhos em lotes até retornar uma lista vazia
+      let batch = await readDirectoryEntries(reader);
+      while (batch.length > 0) {
+        for (const child of batch) await walk(child, folderPath);
+        batch = await readDirectoryEntries(reader);
+      }
     }
   };
-  
-  // Handler para abrir o modal de criação
-  const handleCreateItemRequest = (type) => {
-    setCreationType(type);
-    setShowCreationModal(true);
-  };
+  for (const entry of entries) await walk(entry, []);
+  return { files, folders };
+};
 
-  // Handler para executar a criação no Firebase (chamado pelo Modal)
-  const handleCreateItemSubmit = async (name) => {
-    if (!name || name.trim() === '') {
-        console.log("Criação cancelada ou nome vazio.");
-        return;
+// --- Armazenamento de Arquivos em Blocos ---
+// Um documento do Firestore tem no máximo 1 MiB, então cada arquivo vira um
+// manifesto em sharepad_blobs_{slug}/{id} e blocos ordenados na subcoleção `chunks`.
+const CHUNK_SIZE = 512 * 1024; // ~683 KB em base64
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50 MB
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+const sha256Hex = async (data) => {
+  const hash = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const chunkDocId = (index) => String(index).padStart(6, '0');
+
+// Envia o arquivo em blocos; se o manifesto já existe para o mesmo conteúdo,
+// retoma a partir do último bloco confirmado.
+const uploadFileChunks = async (blobRef, file, { sha256, onProgress, cipher = plainCipher }) => {
+  const chunkCount = Math.max(1, Math.ceil(file.size / CHUNK_SIZE));
+  const chunksColRef = collection(blobRef, 'chunks');
+
+  const existingSnap = await getDoc(blobRef);
+  const existing = existingSnap.exists() ? existingSnap.data() : null;
+  let next = 0;
+  if (existing && existing.chunkSize === CHUNK_SIZE && await cipher.decryptText(existing.sha256) === sha256) {
+    next = existing.uploadedChunks || 0;
+  } else {
+    await setDoc(blobRef, {
+      chunkSize: CHUNK_SIZE,
+      chunkCount,
+      size: file.size,
+      mimeType: file.type,
+      sha256: await cipher.encryptText(sha256),
+      uploadedChunks: 0,
+      complete: false,
+    });
+  }
+
+  onProgress?.(Math.min(file.size, next * CHUNK_SIZE), file.size);
+  for (let index = next; index < chunkCount; index++) {
+    const slice = file.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+    const bytes = new Uint8Array(await slice.arrayBuffer());
+    await setDoc(doc(chunksColRef, chunkDocId(index)), { index, data: await cipher.encryptBytes(bytes) });
+    await setDoc(blobRef, { uploadedChunks: index + 1 }, { merge: true });
+    onProgress?.(Math.min(file.size, (index + 1) * CHUNK_SIZE), file.size);
+  }
+  await setDoc(blobRef, { complete: true }, { merge: true });
+};
+
+// Remonta o arquivo a partir dos blocos e confere o checksum.
+// Blobs antigos (um único data URL em `url`) continuam sendo lidos.
+const readFileBlob = async (blobRef, fallbackUrl, cipher = plainCipher) => {
+  const manifestSnap = await getDoc(blobRef);
+  const manifest = manifestSnap.exists() ? manifestSnap.data() : null;
+  const legacyUrl = manifest?.url || fallbackUrl;
+  if (!manifest?.chunkCount) {
+    if (!legacyUrl) throw new Error('Dados do arquivo não encontrados');
+    return (await fetch(legacyUrl)).blob();
+  }
+  if (!manifest.complete) throw new Error('O envio deste arquivo não foi concluído');
+
+  const chunksSnap = await getDocs(collection(blobRef, 'chunks'));
+  const chunks = chunksSnap.docs.map(d => d.data()).sort((a, b) => a.index - b.index);
+  if (chunks.length !== manifest.chunkCount) throw new Error('Arquivo incompleto: blocos ausentes');
+
+  const bytes = new Uint8Array(manifest.size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    const part = await cipher.decryptBytes(chunk.data);
+    if (offset + part.length > manifest.size) throw new Error('Arquivo corrompido: tamanho inválido');
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  if (offset !== manifest.size || await sha256Hex(bytes) !== await cipher.decryptText(manifest.sha256)) {
+    throw new Error('Falha na verificação de integridade (checksum)');
+  }
+  return new Blob([bytes], { type: manifest.mimeType || 'application/octet-stream' });
+};
+
+const deleteFileBlob = async (blobRef, remove = deleteDoc) => {
+  await deleteSubcollection(blobRef, 'chunks', remove);
+  await remove(blobRef);
+};
+
+// --- Coleções da Sala ---
+// O conteúdo fica em sharepad_{tipo}_{escopo}. O escopo é o próprio slug nas salas abertas e
+// "slug.{derivado da senha}" nas salas com senha (ver Senha da Sala). Ao lado de cada coleção,
+// as subcoleções que os documentos dela podem ter.
+const ROOM_DATA_COLLECTIONS = {
+  sharepad_files: [],
+  sharepad_contents: ['ops', 'versions'],
+  sharepad_blobs: ['chunks'],
+  sharepad_images: [],
+  sharepad_comments: [],
+  sharepad_activity: [],
+};
+
+const roomCollectionRef = (name, scope) => collection(db, 'artifacts', appId, 'public', 'data', `${name}_${scope}`);
+
+// Marcador que existe só no escopo de uma sala com senha: é com ele que a senha é conferida
+const roomAccessDocRef = (scope) => doc(roomCollectionRef('sharepad_access', scope), 'room');
+
+const deleteRoomData = async (scope) => {
+  for (const [name, subcollections] of Object.entries(ROOM_DATA_COLLECTIONS)) {
+    const snapshot = await getDocs(roomCollectionRef(name, scope));
+    for (const d of snapshot.docs) {
+      for (const subcollection of subcollections) await deleteSubcollection(d.ref, subcollection);
+      await deleteDoc(d.ref);
     }
+  }
+};
 
-    const type = creationType;
-    name = name.trim();
-    
-    try {
-      console.log(`Tentando criar ${type}: ${name} na pasta pai: ${currentFolderId || 'Raiz'}`);
-      
-      const newItem = {
-        name,
-        type,
-        parent: currentFolderId, 
-        content: type === 'document' ? '' : null,
-        createdAt: Date.now(),
-        createdBy: user.uid,
-      };
-      
-      const docRef = await addDoc(roomFilesColRef, newItem);
-      console.log(`${type} criado com sucesso. ID: ${docRef.id}`);
-      
-      if (type === 'document') {
-           setCurrentFileId(docRef.id);
+// Copia todo o conteúdo para outro escopo e só então apaga o original
+// (ao definir, trocar ou remover a senha). Uma cópia interrompida pode ser refeita.
+const copyRoomData = async (fromScope, toScope) => {
+  for (const [name, subcollections] of Object.entries(ROOM_DATA_COLLECTIONS)) {
+    const snapshot = await getDocs(roomCollectionRef(name, fromScope));
+    for (const d of snapshot.docs) {
+      const target = doc(roomCollectionRef(name, toScope), d.id);
+      await setDoc(target, d.data());
+      for (const subcollection of subcollections) {
+        const children = await getDocs(collection(d.ref, subcollection));
+        await Promise.all(children.docs.map(child => setDoc(doc(target, subcollection, child.id), child.data())));
       }
-
-    } catch (e) {
-      console.error("ERRO CRÍTICO ao criar item:", e);
-    } finally {
-        setShowCreationModal(false);
-        setCreationType(null);
     }
-  };
-  
-  // Handler para iniciar a renomeação
-  const handleRenameItemRequest = (item) => {
-    setShowRenameModal({
-        item: item,
-        onRename: async (newName) => {
-            if (newName && newName.trim() !== item.name) {
-                try {
-                    await setDoc(doc(roomFilesColRef, item.id), { name: newName.trim() }, { merge: true });
-                } catch (e) {
-                    console.error("Erro ao renomear:", e);
-                }
-            }
-            setShowRenameModal(null);
-        }
-    });
+  }
+};
+
+// Apaga a sala inteira quando ela expira. As configurações vão por último: uma limpeza
+// interrompida é retomada pelo próximo visitante, e depois o nome fica livre de novo.
+// Numa sala com senha, quem não a digitou não alcança o escopo; apagar as configurações
+// leva junto o sal, e sem ele o conteúdo não pode mais ser localizado por ninguém.
+const destroyRoom = async (slug, scope = slug) => {
+  await deleteRoomData(scope);
+  const presence = await getDocs(roomCollectionRef('sharepad_presence', scope));
+  await Promise.all(presence.docs.map(d => deleteDoc(d.ref)));
+  if (scope !== slug) await deleteDoc(roomAccessDocRef(scope));
+  await deleteSubcollection(roomMetaDocRef(slug), 'editors');
+  await deleteDoc(roomMetaDocRef(slug));
+};
+
+// --- Criptografia de Ponta a Ponta ---
+// Em salas criptografadas, textos, nomes, imagens e blocos de arquivos são cifrados
+// com AES-GCM no navegador. A chave vai só no fragmento do link (#key=...), que o
+// navegador nunca envia ao servidor. Salas comuns usam plainCipher, com a mesma interface.
+const ENCRYPTED_PREFIX = 'e1:';
+const KEY_CHECK_PLAINTEXT = 'sharepad';
+
+const bytesToBase64Url = (bytes) => bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const base64UrlToBytes = (value) => base64ToBytes(value.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((value.length + 3) % 4));
+
+const plainCipher = {
+  encrypted: false,
+  encryptText: async (text) => text,
+  decryptText: async (value) => value,
+  encryptBytes: async (bytes) => bytesToBase64(bytes),
+  decryptBytes: async (base64) => base64ToBytes(base64),
+};
+
+const generateRoomKey = () => bytesToBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+
+const readKeyFromHash = (hash) => new URLSearchParams(hash.replace(/^#/, '')).get('key');
+
+// --- Papéis na Sala (dono, editor, leitor) ---
+// O dono é quem criou a sala (roomMeta.ownerUid). Sem roomMeta.editKeyHash, todos editam.
+// Com ele, só edita quem tem a chave de edição (#edit=... no link, lembrada neste navegador);
+// os demais entram como leitores. A sala guarda só o hash, então ler as configurações não revela a chave.
+// Editores registram a chave em sharepad_rooms/{slug}/editors/{uid} (legível só por eles): é esse
+// registro que as regras do Firestore conferem contra o hash atual a cada escrita.
+const editorDocRef = (slug, uid) => doc(roomMetaDocRef(slug), 'editors', uid);
+const ROOM_ROLES = { owner: 'owner', editor: 'editor', viewer: 'viewer' };
+const editKeyStorageKey = (slug) => `sharepad_edit_${slug}`;
+const readEditKeyFromHash = (hash) => new URLSearchParams(hash.replace(/^#/, '')).get('edit');
+const hashEditKey = (key) => sha256Hex(new TextEncoder().encode(key));
+
+const readStoredEditKey = (slug) => {
+  try {
+    return localStorage.getItem(editKeyStorageKey(slug));
+  } catch (e) {
+    return null;
+  }
+};
+
+// Devolve se a chave ficou guardada
+const storeEditKey = (slug, key) => {
+  try {
+    if (key) localStorage.setItem(editKeyStorageKey(slug), key);
+    else localStorage.removeItem(editKeyStorageKey(slug));
+    return true;
+  } catch (e) {
+    // sem localStorage a chave vale só enquanto estiver no link
+    return false;
+  }
+};
+
+// Link da sala (na raiz, ou na pasta/documento indicados) com a chave de criptografia (se houver)
+// e, para editores, a de edição
+const buildRoomLink = (slug, { roomKey, editKey, folderId = null, fileId = null } = {}) => {
+  const params = new URLSearchParams();
+  if (roomKey) params.set('key', roomKey);
+  if (editKey) params.set('edit', editKey);
+  const hash = params.toString();
+  return window.location.origin + buildRoutePath({ slug, folderId, fileId }) + (hash ? `#${hash}` : '');
+};
+
+const createRoomCipher = async (rawKey) => {
+  const key = await crypto.subtle.importKey('raw', base64UrlToBytes(rawKey), 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+  const encryptBytes = async (bytes) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const cipherText = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+    const out = new Uint8Array(iv.length + cipherText.length);
+    out.set(iv);
+    out.set(cipherText, iv.length);
+    return bytesToBase64(out);
   };
 
-  // Handler para iniciar a exclusão
-  const handleDeleteItemRequest = (itemId, name) => {
-    // 1. Verifica se é pasta e se tem filhos
-    const isFolder = allItems.find(i => i.id === itemId)?.type === 'folder';
-    if (isFolder && allItems.some(i => i.parent === itemId)) {
-        setShowConfirmModal({
-            message: `Não é possível deletar a pasta "${name}". Ela deve estar vazia.`,
-            onConfirm: () => setShowConfirmModal(null), // Apenas fecha
-            isError: true,
-        });
-        return;
-    }
+  const decryptBytes = async (base64) => {
+    const data = base64ToBytes(base64);
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: data.subarray(0, 12) }, key, data.subarray(12));
+    return new Uint8Array(plain);
+  };
 
-    setShowConfirmModal({
-        message: `Tem certeza que deseja deletar "${name}"?`,
-        onConfirm: () => deleteItem(itemId),
-    });
+  return {
+    encrypted: true,
+    encryptBytes,
+    decryptBytes,
+    encryptText: async (text) => {
+      if (typeof text !== 'string') return text;
+      return ENCRYPTED_PREFIX + await encryptBytes(new TextEncoder().encode(text));
+    },
+    // Valores que não são texto cifrado (ex.: null) passam direto
+    decryptText: async (value) => {
+      if (typeof value !== 'string' || !value.startsWith(ENCRYPTED_PREFIX)) return value;
+      return new TextDecoder().decode(await decryptBytes(value.slice(ENCRYPTED_PREFIX.length)));
+    },
   };
+};
+
+// --- Senha da Sala ---
+// A sala não guarda nada que confira a senha: roomMeta.password tem só o sal e as iterações.
+// Da senha (PBKDF2) sai o escopo secreto onde o conteúdo fica; quem não a sabe não chega às
+// coleções, e cada tentativa custa uma leitura no servidor (o marcador de acesso do escopo),
+// então não há como testar senhas offline. A senha em si nunca sai do navegador.
+// Salas antigas guardam um hash (password.hash) e o conteúdo no escopo aberto: quando o dono
+// digita a senha, o conteúdo é movido para o escopo secreto.
+const PASSWORD_ITERATIONS = 150000;
+
+const derivePasswordBits = async (password, salt, iterations, length) => {
+  const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' },
+    keyMaterial,
+    length
+  );
+  return new Uint8Array(bits);
+};
+
+// Só para conferir a senha de salas antigas
+const hashRoomPassword = async (password, salt, iterations) =>
+  bytesToBase64(await derivePasswordBits(password, salt, iterations, 256));
 
-  // Handler para executar a exclusão no Firebase
-  const deleteItem = async (itemId) => {
+const passwordScope = async (slug, password, { salt, iterations }) => {
+  const bytes = await derivePasswordBits(password, salt, iterations, 128);
+  return `${slug}.${Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('')}`;
+};
+
+const createPasswordRecord = () => ({
+  salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16))),
+  iterations: PASSWORD_ITERATIONS,
+});
+
+// Quem já digitou a senha guarda o escopo (secreto, derivado dela) nesta aba; o dono, também
+// neste navegador. Um sal diferente (senha trocada) invalida o que estiver guardado.
+const unlockStorageKey = (slug) => `sharepad_unlock_${slug}`;
+
+const readUnlockedScope = (slug, salt) => {
+  for (const storage of [sessionStorage, localStorage]) {
     try {
-        await deleteDoc(doc(roomFilesColRef, itemId));
-        if (itemId === currentFileId) {
-            setCurrentFileId(null); 
-        }
+      const saved = JSON.parse(storage.getItem(unlockStorageKey(slug)) || 'null');
+      if (saved && saved.salt === salt) return saved.scope;
     } catch (e) {
-        console.error("Erro ao deletar item:", e);
-    } finally {
-        setShowConfirmModal(null);
+      // registro ilegível ou armazenamento indisponível: pede a senha de novo
     }
-  };
-  
-  // 6. Upload de Imagem
-  const handleImageUpload = async (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
+  }
+  return null;
+};
 
-    setUploading(true);
+const storeUnlockedScope = (slug, unlocked, { remember = false } = {}) => {
+  for (const storage of [sessionStorage, localStorage]) {
     try {
-      const base64Image = await compressImage(file);
-      
-      await addDoc(imagesColRef, {
-        url: base64Image,
-        name: file.name,
-        uploadedBy: user.uid,
-        createdAt: Date.now()
-      });
-      
-    } catch (err) {
-      console.error("Erro upload:", err);
-    } finally {
-      setUploading(false);
-      e.target.value = null;
+      if (unlocked && (storage === sessionStorage || remember)) {
+        storage.setItem(unlockStorageKey(slug), JSON.stringify(unlocked));
+      } else {
+        storage.removeItem(unlockStorageKey(slug));
+      }
+    } catch (e) {
+      // sem armazenamento, a senha vale só enquanto a sala estiver aberta
     }
+  }
+};
+
+const debounce = (func, wait) => {
+  let timeout;
+  return (...args) => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => func(...args), wait);
   };
-  
-  // 7. Upload de Arquivo Genérico
-  const handleFileUpload = async (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
+};
 
-    const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
-    if (file.size > MAX_FILE_SIZE) {
-        setShowConfirmModal({
-            message: `O arquivo "${file.name}" é muito grande. O limite é de 5 MB.`,
-            onConfirm: () => setShowConfirmModal(null),
-            isError: true,
-        });
-        e.target.value = null;
-        return;
-    }
+// --- Edição Colaborativa (CRDT de sequência no estilo RGA) ---
+// Cada caractere do documento recebe um id único [contador, site] e guarda o id
+// do caractere à sua esquerda. Inserções concorrentes no mesmo ponto são ordenadas
+// pelo id (relógio de Lamport), e remoções apenas marcam o caractere como apagado,
+// então todos os participantes convergem para o mesmo texto, caractere a caractere.
+const compareCrdtIds = (a, b) => {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  if (a[1] === b[1]) return 0;
+  return a[1] < b[1] ? -1 : 1;
+};
 
-    setFileUploading(true);
-    setStatus(`enviando arquivo: ${file.name}...`);
-    
-    try {
-      const fileBase64 = await new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = (event) => resolve(event.target.result);
-        reader.onerror = (error) => reject(error);
-        reader.readAsDataURL(file);
-      });
-      
-      const newItem = {
-        name: file.name,
-        type: 'file', // Novo tipo
-        parent: currentFolderId, 
-        url: fileBase64, // Base64 data URL
-        mimeType: file.type,
-        createdAt: Date.now(),
-        createdBy: user.uid,
-      };
-      
-      await addDoc(roomFilesColRef, newItem);
-      setStatus('arquivo enviado e sincronizado');
-      
-    } catch (err) {
-      console.error("Erro upload de arquivo:", err);
-      setStatus('erro ao enviar arquivo');
-      setShowConfirmModal({
-            message: `Erro ao enviar o arquivo: ${err.message || 'Desconhecido'}`,
-            onConfirm: () => setShowConfirmModal(null),
-            isError: true,
-        });
-    } finally {
-      setFileUploading(false);
-      e.target.value = null;
+const crdtKey = (counter, site) => `${counter}@${site}`;
+
+// Site usado para o conteúdo que o documento já tinha antes da edição colaborativa
+const CRDT_BASE_SITE = '0';
+
+// Compactação: com muitos lotes de ops, um editor grava o estado inteiro (crdtState, com os
+// mesmos ids, então âncoras de cursores e comentários continuam valendo) e apaga os lotes.
+// crdtVersion só cresce; a gravação é uma transação que falha se outro compactou antes.
+const CRDT_COMPACT_OPS = 200;
+// Atraso para quem só recebeu edições atualizar a cópia materializada do texto
+const CONTENT_SYNC_DELAY = 3000;
+
+const createTextCrdt = (siteId) => {
+  // Lista encadeada a partir de `head` (incluindo os apagados): achar o caractere de uma
+  // âncora é uma consulta no byKey, e inserir depois dele não desloca o resto
+  const head = { next: null };
+  const byKey = new Map();
+  let clock = 0;
+  let pending = []; // ops remotas cujas dependências ainda não chegaram
+  let cachedText = '';
+
+  const visibleElements = () => {
+    const visible = [];
+    for (let el = head.next; el; el = el.next) {
+      if (!el.deleted) visible.push(el);
     }
+    return visible;
   };
-  
-  // Handler para iniciar a exclusão de imagem
-  const handleDeleteImageRequest = (imgObj) => {
-    setShowConfirmModal({
-        message: "Tem certeza que deseja excluir esta imagem?",
-        onConfirm: () => deleteImage(imgObj),
-    });
+  const refreshText = () => {
+    cachedText = visibleElements().map(el => el.ch).join('');
   };
 
-  // Handler para executar a exclusão de imagem no Firebase
-  const deleteImage = async (imgObj) => {
-    try {
-      const imgDocRef = doc(db, 'artifacts', appId, 'public', 'data', `sharepad_images_${slug}`, imgObj.id);
-      await deleteDoc(imgDocRef);
-    } catch (err) {
-      console.error("Erro ao deletar:", err);
-    } finally {
-        setShowConfirmModal(null);
-    }
+  const integrate = (id, afterKey, ch) => {
+    const key = crdtKey(id[0], id[1]);
+    if (byKey.has(key)) return false;
+    let prev = afterKey ? byKey.get(afterKey) : head;
+    // Pula as inserções concorrentes mais novas feitas no mesmo ponto
+    while (prev.next && compareCrdtIds(prev.next.id, id) > 0) prev = prev.next;
+    const el = { id, key, ch, deleted: false, next: prev.next };
+    prev.next = el;
+    byKey.set(key, el);
+    clock = Math.max(clock, id[0]);
+    return true;
   };
 
-  const copyLink = () => {
-    navigator.clipboard.writeText(slug);
-    setCopied(true);
-    setTimeout(() => setCopied(false), 2000);
+  // Retorna { done, changed }; ops incompletas ficam no lugar para nova tentativa
+  const applyOp = (op) => {
+    if (op.t === 'i') {
+      if (op.a && !byKey.has(op.a)) return { done: false, changed: false };
+      let after = op.a || null;
+      let changed = false;
+      for (let i = 0; i < op.s.length; i++) {
+        const id = [op.c + i, op.p];
+        if (integrate(id, after, op.s[i])) changed = true;
+        after = crdtKey(id[0], id[1]);
+      }
+      return { done: true, changed };
+    }
+    if (op.t === 'd') {
+      const missing = [];
+      let changed = false;
+      op.k.forEach(key => {
+        const el = byKey.get(key);
+        if (!el) missing.push(key);
+        else if (!el.deleted) { el.deleted = true; changed = true; }
+      });
+      op.k = missing;
+      return { done: missing.length === 0, changed };
+    }
+    return { done: true, changed: false };
   };
 
-  // --- Renderização do Conteúdo Principal ---
-  const currentFile = allItems.find(item => item.id === currentFileId);
-  
-  const mainContent = currentFileId ? (
-    // MODO EDITOR DE TEXTO
-    <div className="flex flex-col h-full">
-        <div className="p-4 border-b border-gray-100 flex items-center justify-between bg-white flex-shrink-0">
-            <button onClick={goBack} className="p-1 hover:bg-gray-100 rounded-full text-gray-500 flex items-center gap-1">
-                <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5">
-                    <path strokeLinecap="round" strokeLinejoin="round" d="M10.5 19.5 3 12m0 0 7.5-7.5M3 12h18" />
-                </svg>
-                <span className="text-sm font-medium">Voltar</span>
-            </button>
-            <h3 className="font-semibold text-gray-800 truncate flex-1 text-center pr-12">
-                {currentFile?.name || 'Documento'}
-            </h3>
-        </div>
-        <textarea
-            ref={textareaRef}
-            value={text}
-            onChange={handleTextChange}
-            placeholder="Digite aqui..."
-            className="w-full flex-1 p-6 resize-none outline-none font-mono text-gray-800 text-base leading-relaxed overflow-y-auto"
-            spellCheck={false}
-        />
-    </div>
-  ) : (
-    // MODO NAVEGADOR DE ARQUIVOS/PASTAS
-    <FileBrowser 
-        content={folderContent}
-        currentFolderId={currentFolderId}
-        currentFolderName={currentFolderName}
-        onNavigate={navigateToFolder}
-        onOpenFile={openDocument}
-        onCreateItem={handleCreateItemRequest}
-        onGoBack={goBack}
-        onRename={handleRenameItemRequest}
-        onDelete={handleDeleteItemRequest}
-        onFileUpload={handleFileUpload}
-        fileUploading={fileUploading}
-    />
-  );
+  return {
+    text: () => cachedText,
 
-  return (
-    <div className="flex flex-col h-screen overflow-hidden bg-white">
-      
-      {/* Modals */}
-      {showCreationModal && (
+    hasPending: () => pending.length > 0,
+
+    // Carrega o conteúdo pré-existente com ids determinísticos, iguais em todos os clientes
+    seed(base) {
+      if (base) applyOp({ t: 'i', p: CRDT_BASE_SITE, c: 1, a: null, s: base });
+      refreshText();
+    },
+
+    // Estado compacto: trechos [site, contador inicial, texto] de ids consecutivos;
+    // trechos apagados guardam só o tamanho
+    snapshot() {
+      const runs = [];
+      let last = null;
+      for (let el = head.next; el; el = el.next) {
+        const run = runs[runs.length - 1];
+        if (last && last.id[1] === el.id[1] && last.id[0] + 1 === el.id[0] && last.deleted === el.deleted) {
+          run[2] = el.deleted ? run[2] + 1 : run[2] + el.ch;
+        } else {
+          runs.push([el.id[1], el.id[0], el.deleted ? 1 : el.ch]);
+        }
+        last = el;
+      }
+      return runs;
+    },
+
+    // Monta o documento a partir de um snapshot (num CRDT ainda vazio), na mesma ordem
+    load(runs) {
+      let prev = head;
+      runs.forEach(([site, counter, value]) => {
+        const deleted = typeof value === 'number';
+        const length = deleted ? value : value.length;
+        for (let i = 0; i < length; i++) {
+          const id = [counter + i, site];
+          const el = { id, key: crdtKey(id[0], id[1]), ch: deleted ? '' : value[i], deleted, next: null };
+          prev.next = el;
+          prev = el;
+          byKey.set(el.key, el);
+          clock = Math.max(clock, id[0]);
+        }
+      });
+      refreshText();
+    },
+
+    // Se todos os caracteres do snapshot já estão aqui, carregá-lo não acrescentaria nada
+    covers(runs) {
+      return runs.every(([site, counter, value]) => {
+        const length = typeof value === 'number' ? value : value.length;
+        for (let i = 0; i < length; i++) {
+          if (!byKey.has(crdtKey(counter + i, site))) return false;
+        }
+        return true;
+      });
+    },
+
+    // Aplica ops remotas (idempotente); retorna true se o texto mudou
+    applyOps(ops) {
+      pending.push(...ops.map(op => ({ ...op, k: op.k ? [...op.k] : undefined })));
+      let changed = false;
+      let progress = true;
+      while (progress && pending.length) {
+        progress = false;
+        pending = pending.filter(op => {
+          const result = applyOp(op);
+          if (result.changed) { changed = true; progress = true; }
+          return !result.done;
+        });
+      }
+      if (changed) refreshText();
+      return changed;
+    },
+
+    // Converte a edição local do textarea em ops (diff por prefixo/sufixo comum)
+    applyLocalChange(newText) {
+      const oldText = cachedText;
+      if (oldText === newText) return [];
+      let start = 0;
+      while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) start++;
+      let endOld = oldText.length;
+      let endNew = newText.length;
+      while (endOld > start && endNew > start && oldText[endOld - 1] === newText[endNew - 1]) {
+        endOld--;
+        endNew--;
+      }
+
+      const visible = visibleElements();
+      const ops = [];
+      if (endOld > start) {
+        const keys = visible.slice(start, endOld).map(el => el.key);
+        keys.forEach(key => { byKey.get(key).deleted = true; });
+        ops.push({ t: 'd', k: keys });
+      }
+      const inserted = newText.slice(start, endNew);
+      if (inserted) {
+        const op = { t: 'i', p: siteId, c: clock + 1, a: start > 0 ? visible[start - 1].key : null, s: inserted };
+        applyOp(op);
+        ops.push(op);
+      }
+      refreshText();
+      return ops;
+    },
+
+    // Âncora estável para uma posição do cursor: o caractere imediatamente à esquerda
+    anchorAt(index) {
+      if (index <= 0) return null;
+      const visible = visibleElements();
+      return visible[Math.min(index, visible.length) - 1]?.key || null;
+    },
+
+    // Posição atual de uma âncora, mesmo que o caractere tenha sido apagado
+    indexOfAnchor(key) {
+      const target = key && byKey.get(key);
+      if (!target) return 0;
+      let index = 0;
+      for (let el = head.next; el; el = el.next) {
+        if (!el.deleted) index++;
+        if (el === target) break;
+      }
+      return index;
+    },
+  };
+};
+
+// Identificador do participante na edição colaborativa (único por aba)
+const createSiteId = (uid) => `${uid.slice(0, 6)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// --- Presença (quem está na sala e onde) ---
+// Cada aba publica um documento em sharepad_presence com um "batimento" periódico;
+// quem não bate há PRESENCE_TIMEOUT some da lista.
+const PRESENCE_HEARTBEAT = 20 * 1000;
+const PRESENCE_TIMEOUT = 60 * 1000;
+const PRESENCE_EXPIRE = 10 * 60 * 1000; // registros abandonados são apagados por quem os vê
+const NICKNAME_STORAGE_KEY = 'sharepad_nickname';
+
+const PRESENCE_COLORS = ['#2563eb', '#db2777', '#16a34a', '#ea580c', '#7c3aed', '#0891b2', '#ca8a04', '#dc2626'];
+const PRESENCE_ANIMALS = ['Capivara', 'Tucano', 'Lontra', 'Jaguatirica', 'Arara', 'Tatu', 'Quati', 'Preguiça', 'Sagui', 'Boto', 'Ema', 'Tamanduá'];
+const PRESENCE_ADJECTIVES = ['Azul', 'Veloz', 'Curiosa', 'Serena', 'Alegre', 'Sábia', 'Ágil', 'Gentil'];
+
+const hashString = (value) => {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) hash = (hash * 31 + value.charCodeAt(i)) >>> 0;
+  return hash;
+};
+
+// Nome e cor estáveis por usuário anônimo
+const presenceColor = (uid) => PRESENCE_COLORS[hashString(uid) % PRESENCE_COLORS.length];
+const generatedNickname = (uid) => {
+  const hash = hashString(uid);
+  return `${PRESENCE_ANIMALS[hash % PRESENCE_ANIMALS.length]} ${PRESENCE_ADJECTIVES[(hash >>> 8) % PRESENCE_ADJECTIVES.length]}`;
+};
+
+// Formata data de forma segura
+const safeFormatTime = (timestamp) => {
+  if (!timestamp) return '';
+  if (timestamp.toDate) return timestamp.toDate().toLocaleTimeString();
+  if (timestamp.seconds) return new Date(timestamp.seconds * 1000).toLocaleTimeString();
+  return new Date(timestamp).toLocaleTimeString();
+};
+
+const safeFormatDateTime = (timestamp) => {
+  if (!timestamp) return '';
+  if (timestamp.toDate) return timestamp.toDate().toLocaleString();
+  if (timestamp.seconds) return new Date(timestamp.seconds * 1000).toLocaleString();
+  return new Date(timestamp).toLocaleString();
+};
+
+// Tempo restante: "3d 04h", "2:05:09" ou "04:59"
+const formatCountdown = (ms) => {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const pad = (n) => String(n).padStart(2, '0');
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (days > 0) return `${days}d ${pad(hours)}h`;
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${pad(minutes)}:${pad(total % 60)}`;
+};
+
+// Valor de um <input type="datetime-local"> (hora local) e de volta para milissegundos
+const toDateTimeLocal = (ms) => {
+  const date = new Date(ms);
+  return new Date(ms - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromDateTimeLocal = (value) => (value ? new Date(value).getTime() : null);
+
+// Re-renderiza o componente quando o relógio alcança `timestamp` (prazos de expiração)
+const useRerenderAt = (timestamp) => {
+  const [tick, setTick] = useState(0);
+  useEffect(() => {
+    const delay = timestamp ? timestamp - Date.now() : 0;
+    if (!Number.isFinite(delay) || delay <= 0) return;
+    const timer = setTimeout(() => setTick(t => t + 1), Math.min(delay + 50, MAX_TIMER_DELAY));
+    return () => clearTimeout(timer);
+  }, [timestamp, tick]);
+  return tick;
+};
+
+// Diff linha a linha (LCS) entre duas versões de um texto.
+// Retorna [{ type: 'same' | 'added' | 'removed', text }].
+const MAX_DIFF_CELLS = 4000000;
+const diffLines = (oldText, newText) => {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Prefixo e sufixo iguais ficam fora da tabela do LCS
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(line => ({ type: 'same', text: line }));
+  const tail = a.slice(endA).map(line => ({ type: 'same', text: line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  // Textos grandes demais: mostra o trecho alterado inteiro como removido/adicionado
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    return [
+      ...head,
+      ...midA.map(line => ({ type: 'removed', text: line })),
+      ...midB.map(line => ({ type: 'added', text: line })),
+      ...tail,
+    ];
+  }
+
+  const n = midA.length;
+  const m = midB.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      middle.push({ type: 'same', text: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      middle.push({ type: 'removed', text: midA[i++] });
+    } else {
+      middle.push({ type: 'added', text: midB[j++] });
+    }
+  }
+  while (i < n) middle.push({ type: 'removed', text: midA[i++] });
+  while (j < m) middle.push({ type: 'added', text: midB[j++] });
+
+  return [...head, ...middle, ...tail];
+};
+
+// --- ZIP (exportar e importar salas) ---
+// Escrita sem compressão (método 0); a leitura aceita também deflate (método 8).
+// O tipo MIME dos arquivos vai no comentário de cada entrada do diretório central.
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const toDosDateTime = (millis) => {
+  const date = new Date(millis || Date.now());
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+};
+
+// entries: [{ path, data (Uint8Array; ausente em pastas, cujo path termina em '/'), comment, modified }]
+const createZip = (entries) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  entries.forEach(({ path, data = new Uint8Array(0), comment = '', modified }) => {
+    const name = encoder.encode(path);
+    const commentBytes = encoder.encode(comment);
+    const { time, date } = toDosDateTime(modified);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // nomes em UTF-8
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, data);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 20, true);
+    header.setUint16(8, 0x0800, true);
+    header.setUint16(10, 0, true);
+    header.setUint16(12, time, true);
+    header.setUint16(14, date, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, data.length, true);
+    header.setUint32(24, data.length, true);
+    header.setUint16(28, name.length, true);
+    header.setUint16(32, commentBytes.length, true);
+    header.setUint32(38, path.endsWith('/') ? 0x10 : 0, true);
+    header.setUint32(42, offset, true);
+    central.push(header, name, commentBytes);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+};
+
+const inflateRaw = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Este navegador não descompacta ZIPs compactados.');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Retorna [{ path, directory, data, comment }], ignorando metadados do macOS
+const readZip = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+
+  let endOffset = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) throw new Error('Arquivo ZIP inválido.');
+
+  const count = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const entries = [];
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(pointer, true) !== 0x02014b50) throw new Error('Arquivo ZIP corrompido.');
+    const flags = view.getUint16(pointer + 8, true);
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const nameStart = pointer + 46;
+    const path = decoder.decode(bytes.subarray(nameStart, nameStart + nameLength));
+    const comment = decoder.decode(bytes.subarray(nameStart + nameLength + extraLength, nameStart + nameLength + extraLength + commentLength));
+    pointer = nameStart + nameLength + extraLength + commentLength;
+
+    if (path.startsWith('__MACOSX/') || path.split('/').pop() === '.DS_Store') continue;
+    if (path.endsWith('/')) {
+      entries.push({ path, directory: true, data: null, comment });
+      continue;
+    }
+    if (flags & 1) throw new Error(`"${path}" está protegido por senha no ZIP.`);
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+    let data;
+    if (method === 0) data = raw;
+    else if (method === 8) data = await inflateRaw(raw);
+    else throw new Error(`"${path}" usa um método de compressão não suportado.`);
+    entries.push({ path, directory: false, data, comment });
+  }
+  return entries;
+};
+
+// Nome seguro para uma entrada do ZIP (sem separadores de pasta)
+const zipSafeName = (name) => (name || 'sem nome').replace(/[\\/]/g, '_');
+
+// Documentos vão como texto; os que não têm extensão ganham .txt
+const documentFileName = (name) => (/\.(txt|md)$/i.test(name) ? name : `${name}.txt`);
+
+// Acima disso um .txt/.md importado vira arquivo, não documento (limite de um doc do Firestore)
+const MAX_IMPORTED_DOCUMENT_SIZE = 512 * 1024;
+
+// --- Editor de Código ---
+// Cada linguagem é uma lista de regras [tipo do token, regex]; a primeira que casar vence.
+const codeWords = (list, flags = '') => new RegExp(`\\b(?:${list.split(' ').join('|')})\\b`, flags);
+
+const CODE_LANGUAGES = {
+  javascript: {
+    label: 'JavaScript / TypeScript',
+    extensions: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx'],
+    indent: '  ',
+    rules: [
+      ['comment', /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/],
+      ['string', /'(?:\\.|[^'\\\n])*'?|"(?:\\.|[^"\\\n])*"?|`(?:\\[\s\S]|[^`\\])*`?/],
+      ['number', /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/],
+      ['keyword', codeWords('const let var function return if else for while do switch case break continue new class extends import export from default try catch finally throw async await typeof instanceof in of this super yield delete void interface type enum implements')],
+      ['literal', codeWords('true false null undefined NaN Infinity')],
+    ],
+  },
+  python: {
+    label: 'Python',
+    extensions: ['py'],
+    indent: '    ',
+    rules: [
+      ['comment', /#.*/],
+      ['string', /[rRbBfFuU]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)/],
+      ['number', /\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+      ['keyword', codeWords('def class return if elif else for while break continue pass import from as with try except finally raise lambda yield global nonlocal in is not and or async await del assert')],
+      ['literal', codeWords('True False None self')],
+    ],
+  },
+  json: {
+    label: 'JSON',
+    extensions: ['json'],
+    indent: '  ',
+    rules: [
+      ['key', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+      ['string', /"(?:\\.|[^"\\\n])*"?/],
+      ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+      ['literal', codeWords('true false null')],
+    ],
+  },
+  yaml: {
+    label: 'YAML',
+    extensions: ['yaml', 'yml'],
+    indent: '  ',
+    flags: 'm',
+    rules: [
+      ['comment', /(?<=^|\s)#.*/],
+      ['key', /(?<=^[ \t]*(?:- +)?)[^\s#:'"-][^:#\n]*?(?=:(?:\s|$))/],
+      ['string', /"(?:\\.|[^"\\\n])*"?|'(?:''|[^'\n])*'?/],
+      ['variable', /[&*][\w-]+|!!?[\w-]+/],
+      ['number', /(?<=[:\-\s])-?\d+(?:\.\d+)?(?=\s*$)/],
+      ['literal', /(?<=:\s+|-\s+)(?:true|false|null|yes|no|on|off|~)(?=\s*$)/],
+    ],
+  },
+  sql: {
+    label: 'SQL',
+    extensions: ['sql'],
+    indent: '  ',
+    flags: 'i',
+    rules: [
+      ['comment', /--.*|\/\*[\s\S]*?(?:\*\/|$)/],
+      ['string', /'(?:''|[^'])*'?/],
+      ['number', /\b\d+(?:\.\d+)?\b/],
+      ['keyword', codeWords('select from where insert into values update set delete create table alter drop index join left right inner outer full cross on group by order having limit offset as and or not is in exists between like distinct union all case when then else end primary key foreign references default view begin commit rollback returning with')],
+      ['literal', codeWords('true false null')],
+    ],
+  },
+  shell: {
+    label: 'Shell',
+    extensions: ['sh', 'bash', 'zsh', 'env'],
+    indent: '  ',
+    flags: 'm',
+    rules: [
+      ['comment', /(?<=^|\s)#.*/],
+      ['string', /"(?:\\.|[^"\\])*"?|'[^']*'?/],
+      ['variable', /\$(?:\{[^}\n]*\}|\w+|[@#?$!*-])/],
+      ['keyword', codeWords('if then else elif fi for in do done while until case esac function return export local echo exit source set unset')],
+      ['number', /\b\d+\b/],
+    ],
+  },
+  css: {
+    label: 'CSS',
+    extensions: ['css', 'scss'],
+    indent: '  ',
+    rules: [
+      ['comment', /\/\*[\s\S]*?(?:\*\/|$)/],
+      ['string', /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/],
+      ['keyword', /@[\w-]+/],
+      ['key', /(?<=[{;]\s*)[\w-]+(?=\s*:)/],
+      ['variable', /#[\da-fA-F]{3,8}\b/],
+      ['number', /-?\b\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg|fr)?\b/],
+    ],
+  },
+  html: {
+    label: 'HTML / XML',
+    extensions: ['html', 'htm', 'xml', 'svg'],
+    indent: '  ',
+    rules: [
+      ['comment', /<!--[\s\S]*?(?:-->|$)/],
+      ['tag', /<\/?[\w:-]+|\/?>/],
+      ['key', /(?<=\s)[\w:-]+(?==)/],
+      ['string', /"[^"]*"?|'[^']*'?/],
+    ],
+  },
+};
+
+const inferCodeLanguage = (name) => {
+  const extension = (name || '').split('.').pop().toLowerCase();
+  if (!name || !name.includes('.')) return null;
+  return Object.keys(CODE_LANGUAGES).find(key => CODE_LANGUAGES[key].extensions.includes(extension)) || null;
+};
+
+// Acima disso o texto aparece sem destaque, para o editor continuar responsivo
+const MAX_HIGHLIGHT_LENGTH = 100000;
+
+const codePatterns = new Map(); // linguagem -> regex combinada das regras
+
+// Quebra o texto em tokens [{ type, text }] ('plain' para o que nenhuma regra pegou)
+const highlightCode = (text, language) => {
+  const spec = CODE_LANGUAGES[language];
+  if (!spec || text.length > MAX_HIGHLIGHT_LENGTH) return [{ type: 'plain', text }];
+
+  if (!codePatterns.has(language)) {
+    codePatterns.set(language, new RegExp(spec.rules.map(([, rule]) => `(${rule.source})`).join('|'), `g${spec.flags || ''}`));
+  }
+  const tokens = [];
+  let last = 0;
+  for (const match of text.matchAll(codePatterns.get(language))) {
+    if (!match[0]) continue;
+    if (match.index > last) tokens.push({ type: 'plain', text: text.slice(last, match.index) });
+    const ruleIndex = match.slice(1).findIndex(group => group !== undefined);
+    tokens.push({ type: spec.rules[ruleIndex][0], text: match[0] });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) tokens.push({ type: 'plain', text: text.slice(last) });
+  return tokens;
+};
+
+const CODE_BRACKETS = { '(': ')', '[': ']', '{': '}', ')': '(', ']': '[', '}': '{' };
+
+// Posições [abre, fecha] do par de colchetes junto ao cursor, ou null
+const findMatchingBracket = (text, cursor) => {
+  const at = [cursor - 1, cursor].find(i => i >= 0 && CODE_BRACKETS[text[i]]);
+  if (at === undefined) return null;
+  const char = text[at];
+  const forward = '([{'.includes(char);
+  const pair = CODE_BRACKETS[char];
+  let depth = 0;
+  for (let i = at; forward ? i < text.length : i >= 0; i += forward ? 1 : -1) {
+    if (text[i] === char) depth++;
+    else if (text[i] === pair && --depth === 0) return forward ? [at, i] : [i, at];
+  }
+  return null;
+};
+
+const lineOfOffset = (text, offset) => text.slice(0, offset).split('\n').length;
+
+// Validação para o indicador do cabeçalho: { valid, message }; null se não houver o que validar
+const validateJson = (text) => {
+  if (!text.trim()) return null;
+  try {
+    JSON.parse(text);
+    return { valid: true, message: 'JSON válido' };
+  } catch (e) {
+    const position = /position (\d+)/.exec(e.message);
+    return {
+      valid: false,
+      message: position ? `JSON inválido (linha ${lineOfOffset(text, Number(position[1]))})` : 'JSON inválido',
+      detail: e.message,
+    };
+  }
+};
+
+const YAML_PAIR = /^("(?:\\.|[^"\\])*"|'(?:''|[^'])*'|[^\s#'"][^#]*?)\s*:(?:\s+(.*))?$/;
+const flowBalance = (value) => (value.match(/[[{]/g) || []).length - (value.match(/[\]}]/g) || []).length;
+
+// Verificação estrutural de YAML (indentação, chaves duplicadas, aspas, listas x mapas).
+// Não é um parser completo, mas pega os erros que mais quebram configurações.
+const validateYaml = (text) => {
+  if (!text.trim()) return null;
+  const fail = (line, reason) => ({ valid: false, message: `YAML inválido (linha ${line})`, detail: reason });
+  const lines = text.split('\n');
+  const stack = []; // níveis abertos: { indent, kind: 'map' | 'seq', keys }
+  let opensBlock = true; // a linha anterior admite filhos mais indentados?
+  let blockScalarIndent = null; // conteúdo de um bloco | ou >
+  let plainScalarIndent = null; // escalar sem aspas que pode continuar nas linhas mais indentadas
+  let openQuote = null; // escalar entre aspas que continua nas linhas seguintes: { quote, line }
+  let flowDepth = 0; // dentro de [ ] ou { } de várias linhas
+
+  // Valor depois de "chave:" ou "- ": aspas fechadas, coleções inline e blocos
+  const checkValue = (value, lineNo, indent) => {
+    const clean = value.replace(/\s+#.*$/, '');
+    opensBlock = clean === '' || /^([&!][^\s]+)$/.test(clean);
+    if (clean.startsWith('"') && !/^"(?:\\.|[^"\\])*"$/.test(clean)) {
+      if (!/^"(?:\\.|[^"\\])*$/.test(value)) return fail(lineNo, 'aspas duplas não fechadas');
+      openQuote = { quote: '"', line: lineNo };
+    }
+    if (clean.startsWith("'") && !/^'(?:''|[^'])*'$/.test(clean)) {
+      if (!/^'(?:''|[^'])*$/.test(value)) return fail(lineNo, 'aspas simples não fechadas');
+      openQuote = { quote: "'", line: lineNo };
+    }
+    if (/^[[{]/.test(clean)) flowDepth = Math.max(0, flowBalance(clean));
+    if (/^[|>][-+0-9]*$/.test(clean)) blockScalarIndent = indent;
+    else if (!opensBlock && !/^["'[{]/.test(clean)) plainScalarIndent = indent;
+    return null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i];
+    const lineNo = i + 1;
+    if (!raw.trim()) continue;
+    const indentText = raw.match(/^[ \t]*/)[0];
+    const indent = indentText.length;
+    const content = raw.slice(indent);
+
+    if (blockScalarIndent !== null) {
+      if (indent > blockScalarIndent) continue;
+      blockScalarIndent = null;
+    }
+    if (openQuote) {
+      const closes = openQuote.quote === '"' ? /^(?:\\.|[^"\\])*"/ : /^(?:''|[^'])*'(?!')/;
+      if (closes.test(raw)) openQuote = null;
+      continue;
+    }
+    // Continuação de um escalar sem aspas; "chave: valor" ali seria um mapa fora do lugar
+    if (plainScalarIndent !== null) {
+      if (indent > plainScalarIndent && !content.startsWith('#')) {
+        if (YAML_PAIR.test(content)) return fail(lineNo, 'indentação inesperada');
+        continue;
+      }
+      plainScalarIndent = null;
+    }
+    if (flowDepth > 0) {
+      flowDepth += flowBalance(raw);
+      continue;
+    }
+    if (content.startsWith('#')) continue;
+    if (/^(---|\.\.\.)(\s|$)/.test(content)) {
+      stack.length = 0;
+      opensBlock = true;
+      continue;
+    }
+    if (indentText.includes('\t')) return fail(lineNo, 'tabulação na indentação');
+
+    while (stack.length && stack[stack.length - 1].indent > indent) stack.pop();
+    const isSeq = /^-(\s|$)/.test(content);
+    let top = stack[stack.length - 1];
+    if (!top || indent > top.indent) {
+      if (top && !opensBlock) return fail(lineNo, 'indentação inesperada');
+      top = { indent, kind: isSeq ? 'seq' : 'map', keys: new Set() };
+      stack.push(top);
+    }
+    // Lista "compacta": os itens podem ficar na mesma coluna da chave que os contém
+    if (isSeq && top.kind === 'map' && opensBlock) {
+      top = { indent, kind: 'seq', keys: new Set() };
+      stack.push(top);
+    } else if (!isSeq && top.kind === 'seq' && stack[stack.length - 2]?.indent === indent) {
+      stack.pop();
+      top = stack[stack.length - 1];
+    }
+    if (top.kind !== (isSeq ? 'seq' : 'map')) return fail(lineNo, 'lista e mapa misturados no mesmo nível');
+
+    let entry = content;
+    let entryIndent = indent;
+    if (isSeq) {
+      entry = content.replace(/^-\s*/, '');
+      entryIndent = indent + content.length - entry.length;
+      // "- - a": cada traço a mais abre uma lista aninhada, alinhada com ele
+      while (/^-(\s|$)/.test(entry)) {
+        top = { indent: entryIndent, kind: 'seq', keys: new Set() };
+        stack.push(top);
+        const rest = entry.replace(/^-\s*/, '');
+        entryIndent += entry.length - rest.length;
+        entry = rest;
+      }
+      const pair = YAML_PAIR.exec(entry);
+      if (!pair) {
+        const error = checkValue(entry, lineNo, indent);
+        if (error) return error;
+        continue;
+      }
+      // "- chave: valor" abre um mapa alinhado com a chave
+      top = { indent: entryIndent, kind: 'map', keys: new Set() };
+      stack.push(top);
+    }
+
+    const pair = YAML_PAIR.exec(entry);
+    if (!pair) return fail(lineNo, 'esperado "chave: valor"');
+    const key = pair[1].trim();
+    if (top.keys.has(key)) return fail(lineNo, `chave duplicada "${key}"`);
+    top.keys.add(key);
+    const error = checkValue((pair[2] || '').trim(), lineNo, entryIndent);
+    if (error) return error;
+  }
+  if (openQuote) return fail(openQuote.line, openQuote.quote === '"' ? 'aspas duplas não fechadas' : 'aspas simples não fechadas');
+  return { valid: true, message: 'YAML válido' };
+};
+
+const CODE_VALIDATORS = { json: validateJson, yaml: validateYaml };
+
+// --- Markdown ---
+// Parser próprio que gera uma árvore de blocos; a renderização é feita com elementos
+// React (nunca innerHTML), então HTML colado no texto aparece como texto e não executa.
+// Modos do editor guardados no item (campo editorMode)
+const EDITOR_MODES = {
+  plain: 'plain',
+  markdown: 'markdown',          // edição + pré-visualização lado a lado
+  markdownPreview: 'markdown-preview',
+  code: 'code',
+};
+const documentEditorMode = (item) => {
+  if (item?.editorMode) return item.editorMode;
+  if (/\.md$/i.test(item?.name || '')) return EDITOR_MODES.markdown;
+  return inferCodeLanguage(item?.name) ? EDITOR_MODES.code : EDITOR_MODES.plain;
+};
+
+const MD_FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const MD_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MD_RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const MD_QUOTE = /^\s{0,3}>\s?/;
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const splitTableRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+const startsMarkdownBlock = (line) => MD_FENCE.test(line) || MD_HEADING.test(line) || MD_RULE.test(line) || MD_QUOTE.test(line) || MD_LIST_ITEM.test(line);
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+const parseMarkdownList = (lines, start) => {
+  const first = MD_LIST_ITEM.exec(lines[start]);
+  const baseIndent = indentOf(first[1]);
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const match = MD_LIST_ITEM.exec(line);
+    if (match && indentOf(match[1]) === baseIndent && /\d/.test(match[2]) === ordered) {
+      items.push({ lines: [match[3]], contentIndent: baseIndent + match[2].length + 1 });
+      i++;
+      continue;
+    }
+    if (!line.trim()) {
+      const next = lines.slice(i + 1).find(l => l.trim());
+      if (next === undefined || indentOf(next) <= baseIndent && !MD_LIST_ITEM.test(next)) break;
+      items[items.length - 1].lines.push('');
+      i++;
+      continue;
+    }
+    const item = items[items.length - 1];
+    if (indentOf(line) > baseIndent) {
+      item.lines.push(line.replace(new RegExp(`^\\s{0,${item.contentIndent}}`), ''));
+    } else if (!startsMarkdownBlock(line) && item.lines[item.lines.length - 1].trim()) {
+      item.lines.push(line.trim()); // continuação preguiçosa do parágrafo
+    } else {
+      break;
+    }
+    i++;
+  }
+
+  return {
+    next: i,
+    block: {
+      type: 'list',
+      ordered,
+      start: ordered ? parseInt(first[2], 10) : 1,
+      items: items.map(({ lines: itemLines }) => {
+        const task = /^\[([ xX])\]\s+/.exec(itemLines[0]);
+        if (task) itemLines[0] = itemLines[0].slice(task[0].length);
+        return { checked: task ? task[1] !== ' ' : null, children: parseMarkdownBlocks(itemLines) };
+      }),
+    },
+  };
+};
+
+const parseMarkdownBlocks = (lines) => {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = MD_FENCE.exec(line);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+      i++;
+      blocks.push({ type: 'code', lang: fence[2], text: body.join('\n') });
+      continue;
+    }
+
+    const heading = MD_HEADING.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (MD_RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (MD_QUOTE.test(line)) {
+      const inner = [];
+      while (i < lines.length && lines[i].trim() && (MD_QUOTE.test(lines[i]) || !startsMarkdownBlock(lines[i]))) {
+        inner.push(lines[i++].replace(MD_QUOTE, ''));
+      }
+      blocks.push({ type: 'quote', children: parseMarkdownBlocks(inner) });
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && MD_TABLE_DIVIDER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const header = splitTableRow(line);
+      const align = splitTableRow(lines[i + 1]).map(cell => (
+        cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : null
+      ));
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) rows.push(splitTableRow(lines[i++]));
+      blocks.push({ type: 'table', header, align, rows });
+      continue;
+    }
+
+    if (MD_LIST_ITEM.test(line)) {
+      const { block, next } = parseMarkdownList(lines, i);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsMarkdownBlock(lines[i]))) {
+      paragraph.push(lines[i++]);
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+  }
+  return blocks;
+};
+
+const parseMarkdown = (text) => parseMarkdownBlocks(text.replace(/\r\n?/g, '\n').split('\n'));
+
+// Só links http(s), mailto e relativos; imagens também aceitam data:image. O resto é descartado.
+// Imagens da galeria citadas num documento: ![nome](sharepad-image:<id da imagem>)
+const ROOM_IMAGE_SCHEME = 'sharepad-image:';
+const roomImageMarkdown = (id, name) => `![${name.replace(/[[\]\\]/g, '')}](${ROOM_IMAGE_SCHEME}${id})`;
+
+const safeMarkdownUrl = (url, { image = false } = {}) => {
+  const normalized = url.replace(/[\u0000-\u0020\u007F]/g, '');
+  if (/^(https?:|mailto:)/i.test(normalized)) return url.trim();
+  if (image && /^data:image\/(png|jpe?g|gif|webp);/i.test(normalized)) return url.trim();
+  if (image && normalized.startsWith(ROOM_IMAGE_SCHEME)) return url.trim();
+  if (/^[a-z][a-z0-9+.-]*:/i.test(normalized)) return null;
+  return url.trim();
+};
+
+// --- Pré-visualização de Arquivos ---
+// O tipo da prévia vem do mimeType guardado no envio (a extensão cobre arquivos sem tipo);
+// o que não tiver prévia continua sendo baixado ao clicar.
+const PDFJS_VERSION = '4.10.38';
+const PDFJS_URL = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.min.mjs`;
+const PDFJS_WORKER_URL = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.worker.min.mjs`;
+// Hashes (SRI) dos arquivos publicados no npm para PDFJS_VERSION; mudar a versão exige atualizá-los
+const PDFJS_INTEGRITY = 'sha384-+0ti2moQlmLN7WZHE2RHIf5lV8hHxhxEalN0il3YZceG26fUPyOkR0hp9daxk1i7';
+const PDFJS_WORKER_INTEGRITY = 'sha384-ToeVvShCxKc6CEvhHeMt0Q8A06pSPDbAlngO9nokrDmh914gk/pYd0N7D0a4Lz2o';
+const MAX_TEXT_PREVIEW_SIZE = 2 * 1024 * 1024;
+const MAX_CSV_PREVIEW_ROWS = 1000;
+
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'application/javascript', 'application/x-yaml', 'application/yaml', 'application/x-sh', 'application/sql'];
+const TEXT_EXTENSIONS = ['txt', 'log', 'md', 'ini', 'conf', 'env', 'xml', 'toml'];
+
+const filePreviewKind = (item) => {
+  const mime = (item.mimeType || '').toLowerCase().split(';')[0];
+  const extension = (item.name || '').includes('.') ? item.name.split('.').pop().toLowerCase() : '';
+  if (mime === 'application/pdf' || extension === 'pdf') return 'pdf';
+  if (mime === 'text/csv' || extension === 'csv' || extension === 'tsv') return 'csv';
+  if (mime === 'application/json' || extension === 'json') return 'json';
+  if (mime.startsWith('image/')) return 'image';
+  if (mime.startsWith('audio/')) return 'audio';
+  if (mime.startsWith('video/')) return 'video';
+  if (mime.startsWith('text/') || TEXT_MIME_TYPES.includes(mime) || TEXT_EXTENSIONS.includes(extension) || inferCodeLanguage(item.name)) return 'text';
+  return null;
+};
+
+// Baixa um módulo conferindo o hash (o navegador rejeita a resposta se não bater) e o expõe
+// numa URL blob local, para o import() executar exatamente os bytes verificados
+const fetchVerifiedModule = async (url, integrity) => {
+  const response = await fetch(url, { integrity, credentials: 'omit' });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return URL.createObjectURL(new Blob([await response.arrayBuffer()], { type: 'text/javascript' }));
+};
+
+// pdf.js é carregado só na primeira prévia de PDF, e nunca em salas criptografadas
+// (o código de terceiros teria acesso aos bytes decifrados)
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = (async () => {
+      const [moduleUrl, workerUrl] = await Promise.all([
+        fetchVerifiedModule(PDFJS_URL, PDFJS_INTEGRITY),
+        fetchVerifiedModule(PDFJS_WORKER_URL, PDFJS_WORKER_INTEGRITY),
+      ]);
+      const pdfjs = await import(/* @vite-ignore */ moduleUrl);
+      pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+      return pdfjs;
+    })();
+    pdfjsPromise.catch(() => { pdfjsPromise = null; });
+  }
+  return pdfjsPromise;
+};
+
+// CSV no formato RFC 4180 (aspas duplas, quebras de linha dentro de campos entre aspas).
+// O separador (vírgula, ponto e vírgula ou tab) é o mais frequente na primeira linha.
+const parseCsv = (text, maxRows = Infinity) => {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"' && field === '') quoted = true;
+    else if (char === delimiter) { row.push(field); field = ''; }
+    else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += char;
+  }
+  if ((field !== '' || row.length > 0) && rows.length < maxRows) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// --- Busca na sala (nomes de itens e conteúdo dos documentos) ---
+const SEARCH_SNIPPET_RADIUS = 40;
+const MAX_SNIPPETS_PER_ITEM = 3;
+
+const toMillis = (timestamp) => {
+  if (!timestamp) return 0;
+  if (timestamp.toMillis) return timestamp.toMillis();
+  if (timestamp.seconds) return timestamp.seconds * 1000;
+  return Number(timestamp) || 0;
+};
+
+// Trecho ao redor da ocorrência: { index, before, match, after }
+const buildSnippet = (text, index, length) => {
+  const start = Math.max(0, index - SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + length + SEARCH_SNIPPET_RADIUS);
+  const flat = (part) => part.replace(/\s+/g, ' ');
+  return {
+    index,
+    before: (start > 0 ? '…' : '') + flat(text.slice(start, index)),
+    match: text.slice(index, index + length),
+    after: flat(text.slice(index + length, end)) + (end < text.length ? '…' : ''),
+  };
+};
+
+// Busca sem diferenciar maiúsculas. `contents` mapeia id do documento -> texto.
+// Filtros: type ('document' | 'file' | 'folder' | null) e since (ms; 0 = qualquer data).
+const searchRoom = (items, contents, query, { type = null, since = 0 } = {}) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+
+  const results = [];
+  items.forEach(item => {
+    if (type && item.type !== type) return;
+    if (since && toMillis(item.updatedAt || item.createdAt) < since) return;
+
+    const nameIndex = (item.name || '').toLowerCase().indexOf(needle);
+    const content = item.type === 'document' ? contents[item.id] || '' : '';
+    const haystack = content.toLowerCase();
+    const snippets = [];
+    let total = 0;
+    for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + needle.length)) {
+      if (snippets.length < MAX_SNIPPETS_PER_ITEM) snippets.push(buildSnippet(content, index, needle.length));
+      total++;
+    }
+    if (nameIndex === -1 && total === 0) return;
+    results.push({ item, nameIndex, snippets, total });
+  });
+
+  // Nomes primeiro, depois os documentos com mais ocorrências
+  return results.sort((a, b) =>
+    (a.nameIndex === -1) - (b.nameIndex === -1) ||
+    b.total - a.total ||
+    a.item.name.localeCompare(b.item.name)
+  );
+};
+
+// --- Registro de Atividades ---
+// Cada sala tem um log só de acréscimos (sharepad_activity): quem fez o quê, em qual item e quando.
+// Nomes são gravados como eram no momento, para o registro continuar legível depois de apagados.
+const ACTIVITY_ACTIONS = {
+  created: 'criou',
+  uploaded: 'enviou',
+  renamed: 'renomeou',
+  moved: 'moveu',
+  edited: 'editou',
+  deleted: 'moveu para a lixeira',
+  restored: 'restaurou',
+  purged: 'excluiu definitivamente',
+};
+const ACTIVITY_FILTERS = [
+  { label: 'Tudo', actions: null },
+  { label: 'Criações e envios', actions: ['created', 'uploaded'] },
+  { label: 'Edições', actions: ['edited'] },
+  { label: 'Renomeações', actions: ['renamed'] },
+  { label: 'Movimentações', actions: ['moved'] },
+  { label: 'Exclusões', actions: ['deleted', 'purged'] },
+  { label: 'Restaurações', actions: ['restored'] },
+];
+// O filtro de ação vai na consulta (where 'in'), que carrega uma página por vez. Os ids começam
+// pelo tempo invertido, então ordenar pelo id já traz as mais recentes primeiro sem depender de
+// índice composto (que teria de ser criado para cada coleção sharepad_activity_{escopo}).
+const ACTIVITY_PAGE_SIZE = 100;
+const newActivityId = () =>
+  `${String(Number.MAX_SAFE_INTEGER - Date.now()).padStart(16, '0')}-${Math.random().toString(36).slice(2, 8)}`;
+// Edições contínuas viram uma entrada por documento a cada intervalo
+const ACTIVITY_EDIT_INTERVAL = 10 * 60 * 1000;
+
+// --- Comentários ---
+// Conversas presas a um trecho do documento (sharepad_comments). O trecho é guardado como
+// duas âncoras do CRDT, então acompanha o texto enquanto ele é editado; as respostas
+// entram com arrayUnion, sem disputa entre quem responde ao mesmo tempo.
+const MAX_COMMENT_QUOTE = 200;
+
+const newCommentId = () => Math.random().toString(36).slice(2, 10);
+
+// --- Rotas (endereço no formato /sala/pasta/documento) ---
+// A raiz da sala aparece como ROOT_FOLDER_SEGMENT quando há um documento aberto nela.
+const ROOT_FOLDER_SEGMENT = 'root';
+
+const cleanSlug = (value) => value.trim().replace(/[^a-zA-Z0-9-_]/g, '').toLowerCase();
+
+// Endereços com escapes malformados (ex.: /%E0%A4%A) ficam com o segmento cru
+const decodeRouteSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+};
+
+const parseRoute = (pathname) => {
+  const [slug = '', folderSegment, fileId] = pathname.split('/').filter(Boolean).map(decodeRouteSegment);
+  return {
+    slug: cleanSlug(slug),
+    folderId: folderSegment && folderSegment !== ROOT_FOLDER_SEGMENT ? folderSegment : null,
+    fileId: fileId || null,
+  };
+};
+
+const buildRoutePath = ({ slug, folderId, fileId }) => {
+  if (!slug) return '/';
+  const parts = [slug];
+  if (folderId || fileId) parts.push(folderId || ROOT_FOLDER_SEGMENT);
+  if (fileId) parts.push(fileId);
+  return '/' + parts.map(encodeURIComponent).join('/');
+};
+
+// --- Componente Principal ---
+export default function App() {
+  const [user, setUser] = useState(null);
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname));
+  const [inputValue, setInputValue] = useState('');
+  
+  useEffect(() => {
+    const initAuth = async () => {
+      try {
+        if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
+          await signInWithCustomToken(auth, __initial_auth_token);
+        } else {
+          await signInAnonymously(auth);
+        }
+      } catch (err) {
+        console.error("Erro na autenticação:", err);
+      }
+    };
+    initAuth();
+    const unsubscribe = onAuthStateChanged(auth, setUser);
+    return () => unsubscribe();
+  }, []);
+
+  // Voltar/avançar do navegador percorre salas, pastas e documentos
+  useEffect(() => {
+    const handlePopState = () => setRoute(parseRoute(window.location.pathname));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = (next, { replace = false, hash: nextHash } = {}) => {
+    const path = buildRoutePath(next);
+    if (path !== window.location.pathname || nextHash !== undefined) {
+      // O fragmento (#) pertence à sala; é mantido enquanto ela não muda
+      const hash = nextHash ?? (next.slug === route.slug ? window.location.hash : '');
+      try {
+        window.history[replace ? 'replaceState' : 'pushState'](null, '', path + hash);
+      } catch (err) {
+        // Alguns ambientes embutidos (iframes sandbox) não permitem alterar o endereço
+        console.warn("Não foi possível atualizar o endereço:", err);
+      }
+    }
+    setRoute(next);
+  };
+
+  // Salas criptografadas nascem com uma chave nova no fragmento do link
+  const navigateToRoom = (path, { encrypted = false } = {}) => {
+    const cleanPath = cleanSlug(path);
+    if (cleanPath) {
+      navigate({ slug: cleanPath, folderId: null, fileId: null }, { hash: encrypted ? `#key=${generateRoomKey()}` : '' });
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 font-sans text-gray-900">
+      {!route.slug ? (
+        <LandingPage onNavigate={navigateToRoom} inputValue={inputValue} setInputValue={setInputValue} />
+      ) : (
+        <RoomGate
+          key={route.slug}
+          slug={route.slug}
+          currentFolderId={route.folderId}
+          currentFileId={route.fileId}
+          onNavigate={(location, options) => navigate({ slug: route.slug, ...location }, options)}
+          onExit={() => navigate({ slug: '', folderId: null, fileId: null })}
+          user={user}
+        />
+      )}
+    </div>
+  );
+}
+
+// --- Tela Inicial ---
+function LandingPage({ onNavigate, inputValue, setInputValue }) {
+  const [encrypted, setEncrypted] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onNavigate(inputValue, { encrypted });
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen p-4 bg-gradient-to-br from-blue-50 to-indigo-50">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-xl overflow-hidden">
+        <div className="bg-blue-600 p-8 text-center">
+          <h1 className="text-3xl font-bold text-white mb-2 flex items-center justify-center gap-2">
+            <Share2 className="w-8 h-8" /> SharePad
+          </h1>
+          <p className="text-blue-100">
+            Texto, pastas e fotos ilimitadas, instantaneamente.
+          </p>
+        </div>
+        
+        <div className="p-8">
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Escolha o nome da sua sala
+              </label>
+              <div className="relative">
+                <span className="absolute left-3 top-3 text-gray-400 font-mono">/</span>
+                <input
+                  type="text"
+                  value={inputValue}
+                  onChange={(e) => setInputValue(e.target.value)}
+                  placeholder="ex: festa-surpresa"
+                  className="w-full pl-6 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all"
+                  autoFocus
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Dica: Use um nome único e, se precisar, proteja a sala com uma senha nas configurações.
+              </p>
+            </div>
+
+            <label className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={encrypted}
+                onChange={(e) => setEncrypted(e.target.checked)}
+                className="mt-1"
+              />
+              <span>
+                Criar sala criptografada
+                <span className="block text-xs text-gray-500">
+                  O conteúdo é cifrado no navegador e a chave fica só no link. Sem o link completo ninguém consegue ler a sala.
+                </span>
+              </span>
+            </label>
+            
+            <button
+              type="submit"
+              disabled={!inputValue.trim()}
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Acessar <LinkIcon className="w-4 h-4" />
+            </button>
+          </form>
+        </div>
+        
+        <div className="bg-gray-50 p-4 border-t border-gray-100 text-center text-sm text-gray-500">
+          Sem login. Sem limites. Apenas colaboração.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Acesso à Sala (senha) ---
+// Carrega as configurações da sala e só monta o Room (que assina as coleções)
+// depois que a senha, se houver, foi confirmada.
+function RoomGate({ slug, user, onExit, ...roomProps }) {
+  const [roomMeta, setRoomMeta] = useState(null);
+  const [unlocked, setUnlocked] = useState(null); // { salt, scope } ou, em salas antigas, { hash } só em memória
+  const [movingContent, setMovingContent] = useState(false);
+  const [error, setError] = useState('');
+  const [roomKey, setRoomKey] = useState(() => readKeyFromHash(window.location.hash));
+  const [cipher, setCipher] = useState(null);
+  const [keyError, setKeyError] = useState(false);
+  const destroyingRef = useRef(false); // sala expirada sendo apagada: não recriar as configurações
+  const [editKey, setEditKey] = useState(() => readEditKeyFromHash(window.location.hash) || readStoredEditKey(slug));
+  const [checkedEditKey, setCheckedEditKey] = useState(null); // { key, hash }
+
+  useEffect(() => {
+    const handleHashChange = () => {
+      setRoomKey(readKeyFromHash(window.location.hash));
+      const linkEditKey = readEditKeyFromHash(window.location.hash);
+      if (linkEditKey) setEditKey(linkEditKey);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  useEffect(() => {
+    const metaRef = roomMetaDocRef(slug);
+    const unsubscribe = onSnapshot(metaRef, (snap) => {
+      if (snap.exists()) {
+        setRoomMeta(snap.data());
+        return;
+      }
+      // Sem conexão, "não existe" pode ser só o cache vazio: espera o servidor
+      if (snap.metadata.fromCache || destroyingRef.current) return;
+      // Sala nova: quem chega primeiro vira o dono. Salas anteriores às configurações (que já
+      // têm conteúdo) ficam sem dono, para o primeiro visitante não se apossar delas.
+      // Se o link trouxe uma chave, a sala nasce criptografada (só se for nova de fato: o conteúdo
+      // que já existe está em texto aberto).
+      const createMeta = async () => {
+        const existing = await Promise.all(['sharepad_files', 'sharepad_images'].map(name =>
+          getDocs(query(roomCollectionRef(name, slug), limit(1)))));
+        const isNew = existing.every(snapshot => snapshot.empty);
+        const meta = { createdAt: Date.now() };
+        if (isNew) meta.ownerUid = user.uid;
+        if (roomKey && isNew) {
+          const newCipher = await createRoomCipher(roomKey);
+          meta.encrypted = true;
+          meta.keyCheck = await newCipher.encryptText(KEY_CHECK_PLAINTEXT);
+        }
+        await runTransaction(db, async (transaction) => {
+          const current = await transaction.get(metaRef);
+          if (!current.exists()) {
+            transaction.set(metaRef, meta);
+          }
+        });
+      };
+      createMeta().catch(e => {
+        console.error("Erro ao criar configurações da sala:", e);
+        setError('Não foi possível carregar a sala.');
+      });
+    }, (e) => {
+      console.error("Erro ao carregar configurações da sala:", e);
+      setError('Não foi possível carregar a sala.');
+    });
+    return () => unsubscribe();
+  }, [slug]);
+
+  // Confere a chave do link contra o keyCheck antes de abrir a sala
+  useEffect(() => {
+    setCipher(null);
+    setKeyError(false);
+    if (!roomMeta) return;
+    if (!roomMeta.encrypted) {
+      setCipher(plainCipher);
+      return;
+    }
+    if (!roomKey) return;
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const candidate = await createRoomCipher(roomKey);
+        if (await candidate.decryptText(roomMeta.keyCheck) !== KEY_CHECK_PLAINTEXT) throw new Error('Chave inválida');
+        if (!cancelled) setCipher(candidate);
+      } catch (e) {
+        console.error("Chave da sala inválida:", e);
+        if (!cancelled) setKeyError(true);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [roomMeta?.encrypted, roomMeta?.keyCheck, roomKey]);
+
+  useEffect(() => {
+    if (!editKey) return;
+    let cancelled = false;
+    hashEditKey(editKey).then(hash => {
+      if (!cancelled) setCheckedEditKey({ key: editKey, hash });
+    });
+    return () => { cancelled = true; };
+  }, [editKey]);
+
+  // Uma chave de edição válida fica lembrada, para o editor não depender de manter o link;
+  // depois de guardada, sai do endereço para não ir junto em links copiados ou no histórico
+  const editKeyChecked = !editKey || checkedEditKey?.key === editKey;
+  const hasEditKey = !!roomMeta?.editKeyHash && checkedEditKey?.key === editKey && checkedEditKey.hash === roomMeta.editKeyHash;
+  useEffect(() => {
+    if (!hasEditKey || !storeEditKey(slug, editKey)) return;
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    if (!params.has('edit')) return;
+    params.delete('edit');
+    const hash = params.toString();
+    try {
+      window.history.replaceState(null, '', window.location.pathname + (hash ? `#${hash}` : ''));
+    } catch (err) {
+      console.warn("Não foi possível atualizar o endereço:", err);
+    }
+  }, [hasEditKey, editKey, slug]);
+
+  // Escopo do conteúdo: o slug nas salas abertas (e nas antigas com senha ainda não movidas);
+  // nas salas com senha, o escopo guardado quando a senha foi digitada
+  const passwordRecord = roomMeta?.password || null;
+  const legacyPassword = !!passwordRecord?.hash;
+  const storedScope = passwordRecord && !legacyPassword
+    ? (unlocked?.salt === passwordRecord.salt ? unlocked.scope : readUnlockedScope(slug, passwordRecord.salt))
+    : null;
+  const scope = !passwordRecord || legacyPassword ? slug : storedScope;
+  const isOwner = !!roomMeta?.ownerUid && roomMeta.ownerUid === user.uid;
+
+  // O registro vai antes de qualquer escrita da sala: as escritas saem na ordem em que são
+  // feitas, então as do Room já chegam ao servidor com a chave registrada
+  const [registeredEditKey, setRegisteredEditKey] = useState(null);
+  useEffect(() => {
+    if (!hasEditKey || isOwner || registeredEditKey === editKey) return;
+    trackWrite(firestoreSetDoc(editorDocRef(slug, user.uid), { editKey, updatedAt: Date.now() }))
+      .catch(e => console.error("Erro ao registrar a chave de edição:", e));
+    setRegisteredEditKey(editKey);
+  }, [hasEditKey, isOwner, editKey, registeredEditKey, slug]);
+
+  // Sala expirada: quem chegar (ou estiver nela) quando o prazo passa apaga tudo
+  useRerenderAt(roomMeta?.expiresAt);
+  const roomExpired = !!roomMeta?.expiresAt && roomMeta.expiresAt <= Date.now();
+  useEffect(() => {
+    if (!roomExpired || destroyingRef.current) return;
+    destroyingRef.current = true;
+    storeUnlockedScope(slug, null);
+    destroyRoom(slug, scope || slug).catch(e => console.error("Erro ao apagar sala expirada:", e));
+  }, [roomExpired, slug]);
+
+  const handleKeySubmit = (value) => {
+    // Aceita tanto o link completo quanto só a chave
+    const key = value.includes('#') ? readKeyFromHash(value.slice(value.indexOf('#'))) : value.trim();
+    if (!key) return;
+    try {
+      window.history.replaceState(null, '', `${window.location.pathname}#key=${key}`);
+    } catch (err) {
+      console.warn("Não foi possível atualizar o endereço:", err);
+    }
+    setRoomKey(key);
+  };
+
+  // A sala já existia sem criptografia: a chave do link não vale para ela
+  const openWithoutKey = () => {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    params.delete('key');
+    const hash = params.toString();
+    try {
+      window.history.replaceState(null, '', window.location.pathname + (hash ? `#${hash}` : ''));
+    } catch (err) {
+      console.warn("Não foi possível atualizar o endereço:", err);
+    }
+    setRoomKey(null);
+  };
+
+  // Define, troca ou remove (password = null) a senha: o conteúdo vai para o novo escopo
+  // antes de as configurações mudarem, e quem estiver na sala com a senha antiga volta ao prompt.
+  // Alterações feitas por outras pessoas durante a cópia podem ficar para trás.
+  const changeRoomPassword = async (password) => {
+    const fromScope = scope;
+    const record = password ? createPasswordRecord() : null;
+    const toScope = record ? await passwordScope(slug, password, record) : slug;
+    setMovingContent(true);
+    try {
+      if (record) await setDoc(roomAccessDocRef(toScope), { createdAt: Date.now() });
+      await copyRoomData(fromScope, toScope);
+      await setDoc(roomMetaDocRef(slug), { password: record || deleteField() }, { merge: true });
+      const next = record ? { salt: record.salt, scope: toScope } : null;
+      storeUnlockedScope(slug, next, { remember: true });
+      setUnlocked(next);
+      await deleteRoomData(fromScope);
+      if (fromScope !== slug) await deleteDoc(roomAccessDocRef(fromScope));
+    } catch (e) {
+      // Até as configurações mudarem, o conteúdo original continua intacto no escopo antigo
+      console.error("Erro ao mover o conteúdo da sala:", e);
+      setError('Não foi possível mover o conteúdo da sala. Abra a sala de novo e tente outra vez.');
+    } finally {
+      setMovingContent(false);
+    }
+  };
+
+  const handleUnlock = async (password) => {
+    const { salt, iterations, hash } = roomMeta.password;
+    if (legacyPassword) {
+      if (await hashRoomPassword(password, salt, iterations) !== hash) return false;
+      // O dono aproveita para mover o conteúdo; os demais entram sem guardar nada
+      if (isOwner) await changeRoomPassword(password);
+      else setUnlocked({ hash });
+      return true;
+    }
+    const candidate = await passwordScope(slug, password, roomMeta.password);
+    if (!(await getDoc(roomAccessDocRef(candidate))).exists()) return false;
+    const next = { salt, scope: candidate };
+    storeUnlockedScope(slug, next, { remember: isOwner });
+    setUnlocked(next);
+    return true;
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-4 text-gray-600">
+        <p>{error}</p>
+        <button onClick={onExit} className="text-blue-600 hover:underline">Voltar</button>
+      </div>
+    );
+  }
+
+  if (!roomMeta) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (roomExpired) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-4 p-4 text-center text-gray-600 bg-gray-50">
+        <Clock className="w-10 h-10 text-gray-300" />
+        <p>A sala <span className="font-semibold">/{slug}</span> expirou e todo o conteúdo foi apagado.</p>
+        <button onClick={onExit} className="text-blue-600 hover:underline">Voltar</button>
+      </div>
+    );
+  }
+
+  if (movingContent) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-3 bg-gray-50 text-gray-600 text-sm">
+        <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+        Movendo o conteúdo da sala... Não feche esta aba.
+      </div>
+    );
+  }
+
+  // Se a senha mudar, o escopo guardado deixa de valer e a sala volta a ser trancada
+  const locked = passwordRecord && (legacyPassword ? unlocked?.hash !== passwordRecord.hash : !scope);
+  if (locked) {
+    return <PasswordPrompt slug={slug} onUnlock={handleUnlock} onExit={onExit} />;
+  }
+
+  if (!roomMeta.encrypted && roomKey) {
+    return <UnencryptedRoomNotice slug={slug} onOpen={openWithoutKey} onExit={onExit} />;
+  }
+
+  if (roomMeta.encrypted && (!roomKey || keyError)) {
+    return <RoomKeyPrompt slug={slug} invalid={keyError} onSubmit={handleKeySubmit} onExit={onExit} />;
+  }
+
+  if (!cipher || (roomMeta.editKeyHash && !isOwner && (!editKeyChecked || (hasEditKey && registeredEditKey !== editKey)))) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  const role = isOwner
+    ? ROOM_ROLES.owner
+    : (!roomMeta.editKeyHash || hasEditKey ? ROOM_ROLES.editor : ROOM_ROLES.viewer);
+
+  return (
+    <Room
+      key={scope}
+      slug={slug}
+      scope={scope}
+      user={user}
+      onExit={onExit}
+      roomMeta={roomMeta}
+      cipher={cipher}
+      role={role}
+      onChangePassword={changeRoomPassword}
+      {...roomProps}
+    />
+  );
+}
+
+function RoomKeyPrompt({ slug, invalid, onSubmit, onExit }) {
+  const [value, setValue] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(value);
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen p-4 bg-gradient-to-br from-blue-50 to-indigo-50">
+      <div className="w-full max-w-sm bg-white rounded-2xl shadow-xl p-8">
+        <h2 className="text-xl font-bold text-gray-800 mb-1 flex items-center gap-2">
+          <KeyRound className="w-5 h-5 text-blue-600" /> /{slug}
+        </h2>
+        <p className="text-sm text-gray-500 mb-6">
+          Esta sala é criptografada. Abra o link completo que foi compartilhado com você ou cole-o abaixo.
+        </p>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="text"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder="Link completo ou chave"
+            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none font-mono text-sm"
+            autoFocus
+          />
+          {invalid && <p className="text-sm text-red-600">Esta chave não abre a sala.</p>}
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={onExit}
+              className="flex-1 px-4 py-3 text-sm font-semibold text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+            >
+              Voltar
+            </button>
+            <button
+              type="submit"
+              disabled={!value.trim()}
+              className="flex-1 px-4 py-3 text-sm font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+            >
+              Abrir
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// O link pedia uma sala criptografada, mas o nome já pertence a uma sala aberta
+function UnencryptedRoomNotice({ slug, onOpen, onExit }) {
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen p-4 bg-gradient-to-br from-blue-50 to-indigo-50">
+      <div className="w-full max-w-sm bg-white rounded-2xl shadow-xl p-8">
+        <h2 className="text-xl font-bold text-gray-800 mb-1 flex items-center gap-2">
+          <AlertTriangle className="w-5 h-5 text-amber-500" /> /{slug}
+        </h2>
+        <p className="text-sm text-gray-600 mb-6">
+          Já existe uma sala <span className="font-semibold">sem criptografia</span> com este nome. A chave do link não protege
+          o que estiver nela: tudo o que for escrito aqui fica legível para quem abrir o endereço.
+          Para uma sala criptografada, volte e escolha outro nome.
+        </p>
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={onExit}
+            className="flex-1 px-4 py-3 text-sm font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+            autoFocus
+          >
+            Escolher outro nome
+          </button>
+          <button
+            type="button"
+            onClick={onOpen}
+            className="flex-1 px-4 py-3 text-sm font-semibold text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+          >
+            Abrir sem criptografia
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function PasswordPrompt({ slug, onUnlock, onExit }) {
+  const [password, setPassword] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [wrong, setWrong] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setChecking(true);
+    setWrong(false);
+    try {
+      if (!(await onUnlock(password))) setWrong(true);
+    } catch (err) {
+      console.error("Erro ao verificar senha:", err);
+      setWrong(true);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen p-4 bg-gradient-to-br from-blue-50 to-indigo-50">
+      <div className="w-full max-w-sm bg-white rounded-2xl shadow-xl p-8">
+        <h2 className="text-xl font-bold text-gray-800 mb-1 flex items-center gap-2">
+          <Lock className="w-5 h-5 text-blue-600" /> /{slug}
+        </h2>
+        <p className="text-sm text-gray-500 mb-6">Esta sala é protegida por senha.</p>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Senha da sala"
+            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+            autoFocus
+          />
+          {wrong && <p className="text-sm text-red-600">Senha incorreta.</p>}
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={onExit}
+              className="flex-1 px-4 py-3 text-sm font-semibold text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+            >
+              Voltar
+            </button>
+            <button
+              type="submit"
+              disabled={!password || checking}
+              className="flex-1 px-4 py-3 text-sm font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              {checking ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Entrar'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// --- Componente da Sala ---
+function Room({ slug, scope, currentFolderId, currentFileId, onNavigate, onExit, user, roomMeta, cipher, role, onChangePassword }) {
+  // Leitores: as regras do Firestore recusam as escritas, e aqui elas nem saem (setReadOnlyRoom)
+  const canEdit = role !== ROOM_ROLES.viewer;
+  const canEditRef = useRef(canEdit);
+  canEditRef.current = canEdit;
+  useEffect(() => {
+    setReadOnlyRoom(canEdit ? null : scope);
+    return () => setReadOnlyRoom(null);
+  }, [canEdit, scope]);
+  const [text, setText] = useState('');
+  const [images, setImages] = useState([]);
+  const [status, setStatus] = useState('sincronizado');
+  const [uploadQueue, setUploadQueue] = useState([]); // [{ id, kind, name, loaded, total, status, error }]
+  const uploadTasksRef = useRef([]);
+  const processingUploadsRef = useRef(false);
+  const [galleryDragOver, setGalleryDragOver] = useState(false);
+  const [showSidebar, setShowSidebar] = useState(false);
+  const textareaRef = useRef(null);
+  const cursorsOverlayRef = useRef(null);
+  const editorSessionRef = useRef(null); // CRDT e fila de ops do documento aberto
+  const pendingSelectionRef = useRef(null);
+  const [editorReady, setEditorReady] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [commentThreads, setCommentThreads] = useState([]); // todas as conversas da sala
+  const [showComments, setShowComments] = useState(false);
+  const [commentDraft, setCommentDraft] = useState(null); // { fileId, start, end, quote } antes do primeiro comentário
+  const [commentSending, setCommentSending] = useState(false);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [copied, setCopied] = useState(false);
+  
+  // Modals/Dialogs
+  const [showCreationModal, setShowCreationModal] = useState(false);
+  const [creationType, setCreationType] = useState(null); // 'folder' or 'document'
+  const [showConfirmModal, setShowConfirmModal] = useState(null); // { message, onConfirm }
+  const [lightboxImageId, setLightboxImageId] = useState(null);
+  const [previewItem, setPreviewItem] = useState(null); // arquivo aberto no painel de prévia
+  const [showRenameModal, setShowRenameModal] = useState(null); // { item, onRename }
+  const [showSettings, setShowSettings] = useState(false);
+  const [showMoveModal, setShowMoveModal] = useState(null); // item a mover
+  const [showExpiryModal, setShowExpiryModal] = useState(null); // item cuja expiração está sendo editada
+  const [burnClaim, setBurnClaim] = useState(null); // { fileId, status: 'checking' | 'granted' } (leitura única)
+  const isOwner = roomMeta.ownerUid === user.uid;
+
+  // Estados para navegação de arquivos/pastas
+  // A pasta e o documento abertos vêm do endereço (currentFolderId/currentFileId)
+  const [currentFolderName, setCurrentFolderName] = useState('Raiz'); 
+  const [folderContent, setFolderContent] = useState([]); 
+  const [allItems, setAllItems] = useState([]); 
+  const [itemsLoaded, setItemsLoaded] = useState(false);
+  const [trashedItems, setTrashedItems] = useState([]);
+  const [trashedImages, setTrashedImages] = useState([]);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showActivity, setShowActivity] = useState(false);
+  const [activity, setActivity] = useState(null); // entradas do registro, carregadas com o painel aberto
+  const [activityFilter, setActivityFilter] = useState(ACTIVITY_FILTERS[0]);
+  const [activityLimit, setActivityLimit] = useState(ACTIVITY_PAGE_SIZE);
+  const lastEditLogRef = useRef({}); // documento -> última entrada 'edited' gravada daqui
+  const [searchContents, setSearchContents] = useState(null); // id do documento -> texto; null = carregando
+  const [searchJump, setSearchJump] = useState(null); // { fileId, index, query } a posicionar ao abrir
+  const purgingIdsRef = useRef(new Set());
+  const allItemsRef = useRef(allItems);
+  allItemsRef.current = allItems;
+  const loadedItemsRef = useRef([]); // último snapshot da árvore, com os itens vencidos
+  const migratedIdsRef = useRef(new Set());
+  const [pendingWrites, setPendingWrites] = useState(pendingWriteCount);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [serverConnected, setServerConnected] = useState(true);
+  const presenceIdRef = useRef(createSiteId(user.uid)); // uma presença por aba
+  const lastCursorRef = useRef(null);
+  const cursorTimerRef = useRef(null);
+  const [participants, setParticipants] = useState([]); // presenças das outras abas
+  const [nickname, setNickname] = useState(() => {
+    try {
+        return localStorage.getItem(NICKNAME_STORAGE_KEY) || generatedNickname(user.uid);
+    } catch (e) {
+        return generatedNickname(user.uid);
+    }
+  });
+  
+  // Referências do Firebase
+  // A árvore (sharepad_files) guarda apenas metadados leves; o texto dos documentos
+  // fica em sharepad_contents e os dados dos arquivos em sharepad_blobs, lidos sob demanda.
+  const roomFilesColRef = collection(db, 'artifacts', appId, 'public', 'data', `sharepad_files_${scope}`);
+  const roomContentsColRef = collection(db, 'artifacts', appId, 'public', 'data', `sharepad_contents_${scope}`);
+  const roomBlobsColRef = collection(db, 'artifacts', appId, 'public', 'data', `sharepad_blobs_${scope}`);
+  // Leitura única: quem não é o autor só assina o conteúdo depois de reivindicar a leitura
+  const openedItem = allItems.find(item => item.id === currentFileId);
+  const mustClaimRead = !!openedItem?.burnAfterReading && openedItem.createdBy !== user.uid;
+  const readGranted = !mustClaimRead || (burnClaim?.fileId === currentFileId && burnClaim.status === 'granted');
+  const textDocRef = openedItem && readGranted ? doc(roomContentsColRef, currentFileId) : null;
+  const imagesColRef = collection(db, 'artifacts', appId, 'public', 'data', `sharepad_images_${scope}`);
+  const presenceColRef = collection(db, 'artifacts', appId, 'public', 'data', `sharepad_presence_${scope}`);
+  const activityColRef = collection(db, 'artifacts', appId, 'public', 'data', `sharepad_activity_${scope}`);
+  const commentsColRef = collection(db, 'artifacts', appId, 'public', 'data', `sharepad_comments_${scope}`);
+  const presenceDocRef = doc(presenceColRef, presenceIdRef.current);
+
+  // Nomes ilegíveis (dado corrompido) não derrubam a listagem
+  const decryptItem = async (item) => {
+    try {
+        return { ...item, name: await cipher.decryptText(item.name), sha256: await cipher.decryptText(item.sha256) };
+    } catch (e) {
+        console.error("Erro ao descriptografar item:", e);
+        return { ...item, name: '(ilegível)' };
+    }
+  };
+
+  // 1. Sincronização de Arquivos/Pastas (Conteúdo da Pasta Atual e Lista Total)
+  useEffect(() => {
+    let latestSnapshot = 0;
+    const unsubscribe = onSnapshot(roomFilesColRef, async (snapshot) => {
+        // A descriptografia é assíncrona; só o snapshot mais recente é aplicado
+        const sequence = ++latestSnapshot;
+        const items = await Promise.all(snapshot.docs.map(d => decryptItem({ id: d.id, ...d.data() })));
+        if (sequence !== latestSnapshot) return;
+        loadedItemsRef.current = items;
+        showItems(items);
+        setItemsLoaded(true);
+        if (canEditRef.current) items.filter(isLegacyItem).forEach(migrateLegacyItem);
+        items.filter(item => itemExpired(item)).forEach(purgeExpiredItem);
+    }, (error) => {
+        console.error("Erro ao sincronizar arquivos:", error);
+    });
+    return () => unsubscribe();
+  }, [slug, currentFolderId]);
+
+  // Itens na lixeira ficam fora da árvore (allItems) até serem restaurados; os vencidos somem
+  // de tudo, mesmo antes de alguém conseguir apagá-los
+  const showItems = (items) => {
+        const now = Date.now();
+        const current = items.filter(item => !itemExpired(item, now));
+        const liveItems = current.filter(item => !item.trashedAt);
+        setAllItems(liveItems); 
+        setTrashedItems(current.filter(item => item.trashedAt));
+        
+        const content = liveItems
+            .filter(item => item.parent === currentFolderId)
+            .sort((a, b) => {
+                if (a.type === 'folder' && b.type !== 'folder') return -1;
+                if (a.type !== 'folder' && b.type === 'folder') return 1;
+                return a.name.localeCompare(b.name);
+            });
+            
+        setFolderContent(content);
+        
+        if (currentFolderId) {
+            const folder = liveItems.find(item => item.id === currentFolderId && item.type === 'folder');
+            setCurrentFolderName(folder ? folder.name : 'Pasta Não Encontrada');
+        } else {
+            setCurrentFolderName('Raiz');
+        }
+  };
+
+  // Itens antigos guardavam `content`/`url` no próprio registro da árvore.
+  // Na primeira leitura movemos esses dados para as coleções separadas.
+  const isLegacyItem = (item) => item.content !== undefined || item.crdtBase !== undefined || item.url !== undefined;
+
+  const migrateLegacyItem = async (item) => {
+    if (migratedIdsRef.current.has(item.id)) return;
+    migratedIdsRef.current.add(item.id);
+    try {
+        const updates = { content: deleteField(), crdtBase: deleteField(), url: deleteField() };
+        if (typeof item.content === 'string') {
+            const contentRef = doc(roomContentsColRef, item.id);
+            const existing = await getDoc(contentRef);
+            if (!existing.exists() || typeof existing.data().content !== 'string') {
+                const moved = { content: item.content };
+                if (typeof item.crdtBase === 'string') moved.crdtBase = item.crdtBase;
+                await setDoc(contentRef, moved, { merge: true });
+            }
+            updates.size = textSize(item.content);
+        }
+        if (item.url) {
+            await setDoc(doc(roomBlobsColRef, item.id), { url: item.url });
+            updates.size = dataUrlSize(item.url);
+        }
+        await setDoc(doc(roomFilesColRef, item.id), updates, { merge: true });
+    } catch (e) {
+        console.error("Erro ao migrar item:", e);
+        migratedIdsRef.current.delete(item.id);
+    }
+  };
+
+  // Fecha o editor se o documento aberto deixar de existir
+  useEffect(() => {
+    if (itemsLoaded && currentFileId && !allItems.some(i => i.id === currentFileId)) {
+        onNavigate({ folderId: currentFolderId, fileId: null }, { replace: true });
+        setStatus('documento não encontrado');
+    }
+  }, [allItems, itemsLoaded, currentFileId]);
+  
+  // 2. Sincronização de Texto (CRDT: as edições de todos são mescladas ao vivo)
+  useEffect(() => {
+    if (!textDocRef) {
+        editorSessionRef.current = null;
+        setEditorReady(false);
+        setText('');
+        return;
+    }
+    
+    setStatus('sincronizando documento...');
+    setEditorReady(false);
+    setText('');
+
+    const docRef = textDocRef;
+    const opsColRef = collection(docRef, 'ops');
+    const siteId = createSiteId(user.uid);
+    let crdt = createTextCrdt(siteId);
+    // history: todos os lotes de ops aplicados aqui, para remontar o documento sobre um checkpoint
+    const session = { crdt, outbox: [], timer: null, ready: false, history: [] };
+    editorSessionRef.current = session;
+
+    let docData = null;
+    let opsLoaded = false;
+    let seeded = false;
+    let buffered = [];
+    let crdtVersion = 0; // versão do checkpoint (crdtState) que este cliente já incorporou
+    const opDocIds = new Set(); // lotes já aplicados que continuam na coleção de ops
+    let compacting = false;
+
+    // Quem recebe edições alheias também atualiza a cópia materializada (`content`) depois que
+    // elas assentam; quem digita já faz isso no debouncedSave. Se ela já bate, nada é gravado.
+    const syncContent = debounce(async () => {
+      if (!canEditRef.current || !session.ready) return;
+      const current = crdt.text();
+      if (current === docData?.content) return;
+      const failed = (e) => console.error("Erro ao atualizar documento:", e);
+      try {
+        setDoc(docRef, { content: await cipher.encryptText(current), updatedAt: serverTimestamp() }, { merge: true }).catch(failed);
+        setDoc(doc(roomFilesColRef, docRef.id), { size: textSize(current) }, { merge: true }).catch(failed);
+      } catch (e) {
+        failed(e);
+      }
+    }, CONTENT_SYNC_DELAY);
+
+    // Troca o texto preservando o cursor de quem está digitando
+    const updateText = (change) => {
+      const textarea = textareaRef.current;
+      const focused = textarea && document.activeElement === textarea;
+      const anchors = focused
+        ? [crdt.anchorAt(textarea.selectionStart), crdt.anchorAt(textarea.selectionEnd)]
+        : null;
+      if (!change()) return;
+      if (anchors) {
+        pendingSelectionRef.current = anchors.map(anchor => crdt.indexOfAnchor(anchor));
+      }
+      setText(crdt.text());
+      syncContent();
+    };
+
+    const applyRemote = (batches) => {
+      session.history.push(...batches);
+      updateText(() => batches.reduce((changed, ops) => crdt.applyOps(ops) || changed, false));
+    };
+
+    // O conteúdo anterior ao CRDT vira a base comum (crdtBase) de todos os clientes;
+    // documentos já compactados começam do checkpoint (crdtState)
+    const start = () => {
+      if (seeded || !docData || !opsLoaded) return;
+      seeded = true;
+      crdtVersion = docData.crdtVersion || 0;
+      if (typeof docData.crdtState === 'string') {
+        crdt.load(JSON.parse(docData.crdtState));
+      } else {
+        let base = docData.crdtBase;
+        if (typeof base !== 'string') {
+          const legacyContent = allItemsRef.current.find(i => i.id === docRef.id)?.content;
+          base = buffered.length === 0 ? (docData.content ?? legacyContent ?? '') : '';
+          if (canEditRef.current) {
+            cipher.encryptText(base)
+              .then(encryptedBase => setDoc(docRef, { crdtBase: encryptedBase }, { merge: true }))
+              .catch(e => console.error("Erro ao preparar documento:", e));
+          }
+        }
+        crdt.seed(base);
+      }
+      session.history.push(...buffered);
+      crdt.applyOps(buffered.flat());
+      buffered = [];
+      setText(crdt.text());
+      session.ready = true;
+      setEditorReady(true);
+      setStatus('documento sincronizado');
+    };
+
+    // Checkpoint mais novo que o incorporado (ex.: o cache offline estava atrasado e os lotes
+    // compactados já foram apagados): se traz caracteres que não estão aqui, remonta o documento
+    // a partir dele e reaplica tudo o que este cliente já tinha visto ou digitado
+    const adoptCheckpoint = () => {
+      const version = docData.crdtVersion || 0;
+      if (!seeded || version <= crdtVersion || typeof docData.crdtState !== 'string') return;
+      crdtVersion = version;
+      const runs = JSON.parse(docData.crdtState);
+      if (crdt.covers(runs)) return;
+      updateText(() => {
+        const rebuilt = createTextCrdt(siteId);
+        rebuilt.load(runs);
+        rebuilt.applyOps(session.history.flat());
+        crdt = rebuilt;
+        session.crdt = rebuilt;
+        return true;
+      });
+    };
+
+    // Muitos lotes na coleção: grava o estado atual como checkpoint e apaga os lotes que ele inclui
+    const compactIfDue = () => {
+      if (compacting || !canEditRef.current || !session.ready || crdt.hasPending() || opDocIds.size < CRDT_COMPACT_OPS) return;
+      compacting = true;
+      const folded = [...opDocIds];
+      const runs = crdt.snapshot();
+      const expectedVersion = crdtVersion;
+      (async () => {
+        const crdtState = await cipher.encryptText(JSON.stringify(runs));
+        const committed = await runTransaction(db, async (transaction) => {
+          const current = await transaction.get(docRef);
+          if ((current.data()?.crdtVersion || 0) !== expectedVersion) return false;
+          transaction.set(docRef, { crdtState, crdtVersion: expectedVersion + 1 }, { merge: true });
+          return true;
+        });
+        if (committed) await Promise.all(folded.map(id => deleteDoc(doc(opsColRef, id))));
+      })()
+        .catch(e => console.error("Erro ao compactar documento:", e))
+        .finally(() => { compacting = false; });
+    };
+
+    session.flush = () => {
+      clearTimeout(session.timer);
+      if (session.outbox.length === 0) return;
+      const ops = session.outbox;
+      session.outbox = [];
+      // Em salas criptografadas o lote inteiro vai cifrado em `payload`
+      const encodeOps = cipher.encrypted
+        ? cipher.encryptText(JSON.stringify(ops)).then(payload => ({ payload }))
+        : Promise.resolve({ ops });
+      encodeOps
+        .then(encoded => addDoc(opsColRef, { ...encoded, by: user.uid, createdAt: serverTimestamp() }))
+        .catch(e => {
+          console.error("Erro ao enviar edição:", e);
+          setStatus('erro ao salvar');
+        });
+    };
+    session.push = (ops) => {
+      session.history.push(ops);
+      session.outbox.push(...ops);
+      clearTimeout(session.timer);
+      session.timer = setTimeout(session.flush, 300);
+    };
+
+    // Os snapshots são processados em fila, pois a descriptografia é assíncrona
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+      queue = queue.then(task).catch(e => {
+        console.error("Erro ao descriptografar documento:", e);
+        setStatus('erro ao descriptografar');
+      });
+    };
+
+    // O registro de conteúdo pode ainda não existir (item antigo em migração)
+    const unsubscribeDoc = onSnapshot(docRef, (docSnap) => {
+      const data = docSnap.exists() ? docSnap.data() : {};
+      enqueue(async () => {
+        docData = {
+          ...data,
+          content: await cipher.decryptText(data.content),
+          crdtBase: await cipher.decryptText(data.crdtBase),
+          crdtState: await cipher.decryptText(data.crdtState),
+        };
+        start();
+        adoptCheckpoint();
+      });
+    }, (error) => {
+      console.error("Erro texto:", error);
+      setStatus('erro conexão texto');
+    });
+
+    const decodeOps = async (data) => (data.payload ? JSON.parse(await cipher.decryptText(data.payload)) : (data.ops || []));
+
+    const unsubscribeOps = onSnapshot(opsColRef, (snapshot) => {
+      const changes = snapshot.docChanges();
+      const added = changes.filter(change => change.type === 'added').map(change => change.doc);
+      const removed = changes.filter(change => change.type === 'removed').map(change => change.doc.id);
+      enqueue(async () => {
+        const batches = await Promise.all(added.map(opDoc => decodeOps(opDoc.data())));
+        added.forEach(opDoc => opDocIds.add(opDoc.id));
+        removed.forEach(id => opDocIds.delete(id));
+        if (!seeded) {
+          buffered.push(...batches);
+          opsLoaded = true;
+          start();
+        } else {
+          applyRemote(batches);
+        }
+        compactIfDue();
+      });
+    }, (error) => {
+      console.error("Erro ao sincronizar edições:", error);
+      setStatus('erro conexão texto');
+    });
+
+    return () => {
+      unsubscribeDoc();
+      unsubscribeOps();
+      session.flush();
+    };
+  }, [textDocRef?.path]);
+
+  // Restaura o cursor depois de mesclar edições remotas
+  useLayoutEffect(() => {
+    const selection = pendingSelectionRef.current;
+    if (!selection || !textareaRef.current) return;
+    pendingSelectionRef.current = null;
+    textareaRef.current.setSelectionRange(selection[0], selection[1]);
+  }, [text]);
+
+  // Abre o documento de um resultado de busca já rolado até a ocorrência
+  useEffect(() => {
+    // editorReady ainda pode ser o do documento anterior; a sessão diz se este já carregou
+    if (!searchJump || searchJump.fileId !== currentFileId || !editorReady || !editorSessionRef.current?.ready) return;
+    const textarea = textareaRef.current;
+    setSearchJump(null);
+    if (!textarea) return;
+
+    // O texto pode ter mudado desde a busca: usa a ocorrência mais próxima da posição original
+    const haystack = text.toLowerCase();
+    let index = -1;
+    for (let i = haystack.indexOf(searchJump.query); i !== -1; i = haystack.indexOf(searchJump.query, i + 1)) {
+      if (index === -1 || Math.abs(i - searchJump.index) < Math.abs(index - searchJump.index)) index = i;
+    }
+    if (index === -1) return;
+
+    textarea.focus();
+    textarea.setSelectionRange(index, index + searchJump.query.length);
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 24;
+    const line = text.slice(0, index).split('\n').length - 1;
+    textarea.scrollTop = Math.max(0, line * lineHeight - textarea.clientHeight / 3);
+  }, [searchJump, currentFileId, editorReady, text]);
+
+  // Conteúdo de todos os documentos, carregado só enquanto a busca está aberta
+  useEffect(() => {
+    if (!showSearch) return;
+    let latestSnapshot = 0;
+    const unsubscribe = onSnapshot(roomContentsColRef, async (snapshot) => {
+        const sequence = ++latestSnapshot;
+        // Só documentos da árvore (vencidos ficam de fora) e nenhum de leitura única alheio
+        const searchable = snapshot.docs.filter(d => {
+            const item = allItemsRef.current.find(i => i.id === d.id);
+            return item && !(item.burnAfterReading && item.createdBy !== user.uid);
+        });
+        const entries = await Promise.all(searchable.map(async (d) => {
+            try {
+                return [d.id, await cipher.decryptText(d.data().content || '')];
+            } catch (e) {
+                return [d.id, ''];
+            }
+        }));
+        if (sequence !== latestSnapshot) return;
+        setSearchContents(Object.fromEntries(entries));
+    }, (error) => {
+        console.error("Erro ao carregar conteúdo para a busca:", error);
+        setSearchContents({});
+    });
+    return () => {
+        unsubscribe();
+        setSearchContents(null);
+    };
+  }, [showSearch]);
+
+  // Estado da conexão e das escritas que ainda não chegaram ao servidor
+  useEffect(() => {
+    const unsubscribePending = subscribePendingWrites(setPendingWrites);
+    // Escritas de uma sessão anterior (feitas offline antes de recarregar) contam como uma pendência
+    trackWrite(waitForPendingWrites(db)).catch(() => {});
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    // fromCache indica que o Firestore não está falando com o servidor
+    const unsubscribeMeta = onSnapshot(roomFilesColRef, { includeMetadataChanges: true }, (snapshot) => {
+        setServerConnected(!snapshot.metadata.fromCache);
+    }, () => {});
+    return () => {
+        unsubscribePending();
+        unsubscribeMeta();
+        window.removeEventListener('online', handleOnline);
+        window.removeEventListener('offline', handleOffline);
+    };
+  }, [slug]);
+
+  // Presença: publica onde esta aba está e mantém o batimento.
+  // Usa as funções do Firestore direto: presença não conta como alteração pendente.
+  useEffect(() => {
+    lastCursorRef.current = null;
+    cipher.encryptText(nickname)
+      .then(name => firestoreSetDoc(presenceDocRef, {
+          uid: user.uid,
+          name,
+          color: presenceColor(user.uid),
+          folderId: currentFolderId,
+          fileId: currentFileId,
+          cursor: null,
+          lastSeen: Date.now(),
+      }))
+      .catch(e => console.error("Erro ao publicar presença:", e));
+  }, [currentFolderId, currentFileId, nickname]);
+
+  useEffect(() => {
+    const heartbeat = setInterval(() => {
+        firestoreSetDoc(presenceDocRef, { lastSeen: Date.now() }, { merge: true }).catch(() => {});
+    }, PRESENCE_HEARTBEAT);
+    const leave = () => firestoreDeleteDoc(presenceDocRef).catch(() => {});
+    window.addEventListener('beforeunload', leave);
+    return () => {
+        clearInterval(heartbeat);
+        clearTimeout(cursorTimerRef.current);
+        window.removeEventListener('beforeunload', leave);
+        leave();
+    };
+  }, []);
+
+  useEffect(() => {
+    let latestSnapshot = 0;
+    const unsubscribe = onSnapshot(presenceColRef, async (snapshot) => {
+        const sequence = ++latestSnapshot;
+        const now = Date.now();
+        // Registros sem uid são restos de um batimento que chegou depois da saída
+        const others = snapshot.docs.filter(d => d.id !== presenceIdRef.current && d.data().uid);
+        others
+          .filter(d => now - (d.data().lastSeen || 0) > PRESENCE_EXPIRE)
+          .forEach(d => firestoreDeleteDoc(d.ref).catch(() => {}));
+        const active = await Promise.all(others
+          .filter(d => now - (d.data().lastSeen || 0) <= PRESENCE_TIMEOUT)
+          .map(async (d) => {
+              const data = d.data();
+              try {
+                  return { id: d.id, ...data, name: await cipher.decryptText(data.name) };
+              } catch (e) {
+                  return { id: d.id, ...data, name: generatedNickname(data.uid || d.id) };
+              }
+          }));
+        if (sequence !== latestSnapshot) return;
+        setParticipants(active);
+    }, (error) => {
+        console.error("Erro ao sincronizar presença:", error);
+    });
+    return () => unsubscribe();
+  }, [slug]);
+
+  const changeNickname = (name) => {
+    const trimmed = name.trim().slice(0, 32) || generatedNickname(user.uid);
+    try {
+        localStorage.setItem(NICKNAME_STORAGE_KEY, trimmed);
+    } catch (e) {
+        // sem localStorage o apelido vale só para esta aba
+    }
+    setNickname(trimmed);
+  };
+
+  // Publica o cursor como âncoras do CRDT, que continuam certas com edições dos outros
+  const publishCursor = () => {
+    clearTimeout(cursorTimerRef.current);
+    cursorTimerRef.current = setTimeout(() => {
+        const textarea = textareaRef.current;
+        const session = editorSessionRef.current;
+        if (!textarea || !session?.ready || !currentFileId) return;
+        const cursor = {
+            fileId: currentFileId,
+            start: session.crdt.anchorAt(textarea.selectionStart),
+            end: session.crdt.anchorAt(textarea.selectionEnd),
+        };
+        if (JSON.stringify(cursor) === JSON.stringify(lastCursorRef.current)) return;
+        lastCursorRef.current = cursor;
+        firestoreSetDoc(presenceDocRef, { cursor, lastSeen: Date.now() }, { merge: true }).catch(() => {});
+    }, 150);
+  };
+
+  // Atalho Ctrl+K / Cmd+K para a busca
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            setShowSearch(true);
+        }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // 2a. Registro de Atividades (só criação: as regras do Firestore recusam alterar ou apagar entradas).
+  // Limpezas automáticas (prazo da lixeira, expiração) não entram: rodam em todos os clientes.
+  const logActivity = async (action, item, detail = null) => {
+    if (!canEditRef.current) return;
+    try {
+        await setDoc(doc(activityColRef, newActivityId()), {
+            action,
+            itemId: item.id,
+            itemType: item.type,
+            itemName: await cipher.encryptText(item.name || ''),
+            detail: detail === null ? null : await cipher.encryptText(detail),
+            actorUid: user.uid,
+            actorName: await cipher.encryptText(nickname),
+            createdAt: Date.now(),
+        });
+    } catch (e) {
+        console.error("Erro ao registrar atividade:", e);
+    }
+  };
+
+  const logDocumentEdit = (fileId) => {
+    const item = allItemsRef.current.find(i => i.id === fileId);
+    const last = lastEditLogRef.current[fileId] || 0;
+    if (!item || Date.now() - last < ACTIVITY_EDIT_INTERVAL) return;
+    lastEditLogRef.current[fileId] = Date.now();
+    logActivity('edited', item);
+  };
+
+  useEffect(() => {
+    if (!showActivity) {
+        setActivity(null);
+        return;
+    }
+    let latestSnapshot = 0;
+    const activityQuery = activityFilter.actions
+        ? query(activityColRef, where('action', 'in', activityFilter.actions), orderBy(documentId()), limit(activityLimit))
+        : query(activityColRef, orderBy(documentId()), limit(activityLimit));
+    const unsubscribe = onSnapshot(activityQuery, async (snapshot) => {
+        const sequence = ++latestSnapshot;
+        const entries = await Promise.all(snapshot.docs.map(async (d) => {
+            const data = d.data();
+            try {
+                return {
+                    id: d.id,
+                    ...data,
+                    itemName: await cipher.decryptText(data.itemName),
+                    detail: data.detail ? await cipher.decryptText(data.detail) : null,
+                    actorName: await cipher.decryptText(data.actorName),
+                };
+            } catch (e) {
+                return { id: d.id, ...data, itemName: '(ilegível)', detail: null, actorName: generatedNickname(data.actorUid || d.id) };
+            }
+        }));
+        if (sequence === latestSnapshot) setActivity(entries);
+    }, (error) => {
+        console.error("Erro ao carregar atividades:", error);
+        setActivity([]);
+    });
+    return () => unsubscribe();
+  }, [showActivity, slug, activityFilter, activityLimit]);
+
+  const handleActivityFilterChange = (filter) => {
+    setActivityFilter(filter);
+    setActivityLimit(ACTIVITY_PAGE_SIZE);
+    setActivity(null);
+  };
+
+  // Abre o item de uma entrada, se ele ainda existir
+  const handleActivitySelect = (entry) => {
+    if (entry.itemType === 'image') {
+        if (!images.some(img => img.id === entry.itemId)) return;
+        setShowActivity(false);
+        setLightboxImageId(entry.itemId);
+        return;
+    }
+    const item = allItems.find(i => i.id === entry.itemId);
+    if (!item) return;
+    setShowActivity(false);
+    if (item.type === 'folder') navigateToFolder(item.id);
+    else if (item.type === 'document') openDocument(item.id);
+    else {
+        onNavigate({ folderId: item.parent ?? null, fileId: null });
+        if (filePreviewKind(item)) setPreviewItem(item);
+    }
+  };
+
+  // 2b. Histórico de Versões do documento aberto
+  useEffect(() => {
+    setVersions([]);
+    setShowHistory(false);
+    if (!textDocRef) return;
+
+    let latestSnapshot = 0;
+    const unsubscribe = onSnapshot(collection(textDocRef, 'versions'), async (snapshot) => {
+      const sequence = ++latestSnapshot;
+      try {
+        const loaded = await Promise.all(snapshot.docs.map(async d => {
+          const data = d.data();
+          return { id: d.id, ...data, content: await cipher.decryptText(data.content) };
+        }));
+        if (sequence !== latestSnapshot) return;
+        loaded.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+        setVersions(loaded);
+      } catch (e) {
+        console.error("Erro ao descriptografar histórico:", e);
+      }
+    }, (error) => {
+      console.error("Erro ao carregar histórico:", error);
+    });
+    return () => unsubscribe();
+  }, [textDocRef?.path]);
+
+  // 3. Sincronização de Imagens
+  useEffect(() => {
+    let latestSnapshot = 0;
+    const unsubscribe = onSnapshot(imagesColRef, async (snapshot) => {
+      const sequence = ++latestSnapshot;
+      const loadedImgs = await Promise.all(snapshot.docs.map(async d => {
+        const data = d.data();
+        try {
+          return {
+            id: d.id,
+            ...data,
+            url: await cipher.decryptText(data.url),
+            thumbnail: await cipher.decryptText(data.thumbnail),
+            name: await cipher.decryptText(data.name),
+          };
+        } catch (e) {
+          console.error("Erro ao descriptografar imagem:", e);
+          return { id: d.id, ...data, url: '', thumbnail: '', name: '(ilegível)' };
+        }
+      }));
+      if (sequence !== latestSnapshot) return;
+      loadedImgs.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+      setImages(loadedImgs.filter(img => !img.trashedAt));
+      setTrashedImages(loadedImgs.filter(img => img.trashedAt));
+    }, (error) => {
+      console.error("Erro imagens:", error);
+    });
+    return () => unsubscribe();
+  }, [slug]);
+
+  // 3b. Sincronização de Comentários (a sala inteira, para as contagens no navegador de arquivos)
+  useEffect(() => {
+    let latestSnapshot = 0;
+    const unsubscribe = onSnapshot(commentsColRef, async (snapshot) => {
+      const sequence = ++latestSnapshot;
+      const threads = await Promise.all(snapshot.docs.map(async d => {
+        const data = d.data();
+        try {
+          return {
+            id: d.id,
+            ...data,
+            quote: await cipher.decryptText(data.quote),
+            messages: await Promise.all((data.messages || []).map(async message => ({
+                ...message,
+                text: await cipher.decryptText(message.text),
+                authorName: await cipher.decryptText(message.authorName),
+            }))),
+          };
+        } catch (e) {
+          console.error("Erro ao descriptografar comentário:", e);
+          return { id: d.id, ...data, quote: '(ilegível)', messages: [] };
+        }
+      }));
+      if (sequence !== latestSnapshot) return;
+      threads.forEach(thread => thread.messages.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0)));
+      setCommentThreads(threads);
+    }, (error) => {
+      console.error("Erro comentários:", error);
+    });
+    return () => unsubscribe();
+  }, [slug]);
+
+  useEffect(() => {
+    setCommentDraft(null);
+    setActiveThreadId(null);
+  }, [currentFileId]);
+
+  // 4. Salvar Texto (Debounce)
+  // As edições em si vão como ops do CRDT; aqui só mantemos `content` atualizado
+  // como cópia materializada do texto para quem lê o documento sem o CRDT.
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const debouncedSave = useCallback(
+    debounce(async (newText) => {
+      if (!textDocRef) return;
+      const failed = (e) => {
+        console.error(e);
+        setStatus('erro ao salvar');
+      };
+      try {
+        // As escritas entram na fila local na hora; a confirmação do servidor
+        // (que pode demorar se estiver offline) aparece no contador de pendências
+        const content = await cipher.encryptText(newText);
+        setDoc(textDocRef, { content, updatedAt: serverTimestamp() }, { merge: true }).catch(failed);
+        setDoc(doc(roomFilesColRef, currentFileId), { size: textSize(newText), updatedAt: Date.now() }, { merge: true }).catch(failed);
+        saveVersionIfDue(newText).catch(failed);
+        setStatus('documento sincronizado');
+      } catch (e) {
+        failed(e);
+      }
+    }, 1000),
+    [currentFileId]
+  );
+
+  // Guarda um snapshot quando o último tem mais de VERSION_INTERVAL
+  const versionsRef = useRef(versions);
+  versionsRef.current = versions;
+
+  const saveVersion = async (content) => {
+    if (!textDocRef) return;
+    const versionsColRef = collection(textDocRef, 'versions');
+    await addDoc(versionsColRef, { content: await cipher.encryptText(content), createdAt: Date.now(), author: user.uid });
+
+    // Mantém apenas as MAX_VERSIONS mais recentes
+    const stale = versionsRef.current.slice(MAX_VERSIONS - 1);
+    await Promise.all(stale.map(v => deleteDoc(doc(versionsColRef, v.id))));
+  };
+
+  const saveVersionIfDue = async (content) => {
+    const latest = versionsRef.current[0];
+    if (latest && latest.content === content) return;
+    if (latest && Date.now() - latest.createdAt < VERSION_INTERVAL) return;
+    await saveVersion(content);
+  };
+
+  // O texto de antes da edição vira versão no começo de cada sequência de edições e antes de
+  // apagões (ex.: selecionar tudo e apagar), se ainda não for a versão mais recente
+  const lastLocalEditRef = useRef({ fileId: null, at: 0 });
+  const saveVersionBeforeEdit = (previousText, newText) => {
+    if (previousText === newText) return;
+    const now = Date.now();
+    const last = lastLocalEditRef.current;
+    const burstStart = last.fileId !== currentFileId || now - last.at > VERSION_BURST_GAP;
+    lastLocalEditRef.current = { fileId: currentFileId, at: now };
+    const bigDeletion = previousText.length - newText.length >= VERSION_BIG_DELETION;
+    if (!previousText || (!burstStart && !bigDeletion)) return;
+    if (versionsRef.current[0]?.content === previousText) return;
+    saveVersion(previousText).catch(e => console.error("Erro ao salvar versão:", e));
+  };
+
+  // Restaurar é uma edição comum: vira ops do CRDT e é mesclada para todos
+  const handleRestoreVersionRequest = (version) => {
+    setShowConfirmModal({
+        message: `Restaurar a versão de ${safeFormatDateTime(version.createdAt)}? O texto atual ficará salvo no histórico.`,
+        onConfirm: () => restoreVersion(version),
+    });
+  };
+
+  const restoreVersion = async (version) => {
+    setShowConfirmModal(null);
+    const session = editorSessionRef.current;
+    if (!session || !editorReady) return;
+    try {
+        await saveVersion(text);
+        const ops = session.crdt.applyLocalChange(version.content || '');
+        if (ops.length > 0) {
+            session.push(ops);
+            logDocumentEdit(currentFileId);
+        }
+        setText(session.crdt.text());
+        debouncedSave(session.crdt.text());
+    } catch (e) {
+        console.error("Erro ao restaurar versão:", e);
+        setStatus('erro ao restaurar versão');
+    }
+  };
+
+  // `selection` posiciona o cursor depois de edições feitas por código (ex.: indentação)
+  const applyTextEdit = (newVal, selection = null) => {
+    const session = editorSessionRef.current;
+    if (!session || !editorReady) return;
+    saveVersionBeforeEdit(session.crdt.text(), newVal);
+    const ops = session.crdt.applyLocalChange(newVal);
+    if (ops.length > 0) {
+        session.push(ops);
+        logDocumentEdit(currentFileId);
+    }
+    if (selection) pendingSelectionRef.current = selection;
+    setText(newVal);
+    debouncedSave(newVal);
+    publishCursor();
+  };
+
+  const handleTextChange = (e) => applyTextEdit(e.target.value);
+  
+  // 4b. Comentários no documento aberto
+  const commentMessage = async (body) => ({
+    id: newCommentId(),
+    text: await cipher.encryptText(body),
+    authorUid: user.uid,
+    authorName: await cipher.encryptText(nickname),
+    createdAt: Date.now(),
+  });
+
+  // Guarda o trecho selecionado no editor e abre o painel para escrever o primeiro comentário
+  const startCommentDraft = () => {
+    const textarea = textareaRef.current;
+    const session = editorSessionRef.current;
+    if (!textarea || !session?.ready || !currentFileId) return;
+    const { selectionStart, selectionEnd } = textarea;
+    if (selectionStart === selectionEnd) {
+        setShowConfirmModal({ message: 'Selecione um trecho do documento para comentar.', onConfirm: () => setShowConfirmModal(null), isError: true });
+        return;
+    }
+    setCommentDraft({
+        fileId: currentFileId,
+        start: session.crdt.anchorAt(selectionStart),
+        end: session.crdt.anchorAt(selectionEnd),
+        quote: text.slice(selectionStart, selectionEnd).slice(0, MAX_COMMENT_QUOTE),
+    });
+    setActiveThreadId(null);
+    setShowHistory(false);
+    setShowComments(true);
+  };
+
+  const commentError = (message, e) => {
+    console.error(`${message}:`, e);
+    setShowConfirmModal({ message: `${message}: ${e.message || 'Desconhecido'}`, onConfirm: () => setShowConfirmModal(null), isError: true });
+  };
+
+  // A conversa aparece assim que a escrita entra na fila (offline inclusive); se o servidor
+  // recusar, o rascunho volta com o texto digitado
+  const submitCommentDraft = async (body) => {
+    const draft = commentDraft;
+    if (!draft || !body.trim() || commentSending) return;
+    const threadRef = doc(commentsColRef);
+    setCommentSending(true);
+    try {
+        const thread = {
+            fileId: draft.fileId,
+            start: draft.start,
+            end: draft.end,
+            quote: await cipher.encryptText(draft.quote),
+            messages: [await commentMessage(body.trim())],
+            resolved: false,
+            createdBy: user.uid,
+            createdAt: Date.now(),
+        };
+        setDoc(threadRef, thread).catch(e => {
+            setCommentDraft(current => current ?? { ...draft, body });
+            setActiveThreadId(current => (current === threadRef.id ? null : current));
+            commentError("Erro ao comentar", e);
+        });
+        setCommentDraft(current => (current === draft ? null : current));
+        setActiveThreadId(threadRef.id);
+    } catch (e) {
+        commentError("Erro ao comentar", e);
+    } finally {
+        setCommentSending(false);
+    }
+  };
+
+  // Resolve com false se a resposta não foi gravada, para o painel devolver o texto ao campo
+  const replyToThread = async (thread, body) => {
+    if (!body.trim()) return false;
+    try {
+        await setDoc(doc(commentsColRef, thread.id), {
+            messages: arrayUnion(await commentMessage(body.trim())),
+            updatedAt: Date.now(),
+        }, { merge: true });
+        return true;
+    } catch (e) {
+        commentError("Erro ao responder comentário", e);
+        return false;
+    }
+  };
+
+  const toggleThreadResolved = (thread) => {
+    const changes = thread.resolved
+        ? { resolved: false, resolvedBy: deleteField(), resolvedAt: deleteField() }
+        : { resolved: true, resolvedBy: user.uid, resolvedAt: Date.now() };
+    setDoc(doc(commentsColRef, thread.id), changes, { merge: true })
+        .catch(e => console.error("Erro ao resolver comentário:", e));
+  };
+
+  const handleDeleteThreadRequest = (thread) => {
+    setShowConfirmModal({
+        message: 'Excluir esta conversa e todas as respostas?',
+        onConfirm: () => {
+            setShowConfirmModal(null);
+            if (activeThreadId === thread.id) setActiveThreadId(null);
+            deleteDoc(doc(commentsColRef, thread.id)).catch(e => console.error("Erro ao excluir comentário:", e));
+        },
+    });
+  };
+
+  // 5. Handlers de Navegação e Criação
+  const navigateToFolder = (itemId) => {
+    onNavigate({ folderId: itemId, fileId: null });
+  };
+
+  // O documento abre dentro da sua pasta, para o endereço refletir o caminho real
+  const openDocument = (itemId) => {
+    const item = allItems.find(i => i.id === itemId);
+    onNavigate({ folderId: item ? (item.parent ?? null) : currentFolderId, fileId: itemId });
+  };
+
+  const goBack = () => {
+    // 1. Se estiver editando um arquivo, volte para a visualização da pasta
+    if (currentFileId) {
+      onNavigate({ folderId: currentFolderId, fileId: null }); 
+      return; 
+    }
+    
+    // 2. Se estiver em uma pasta, encontre o pai
+    if (currentFolderId) {
+        const currentFolder = allItems.find(i => i.id === currentFolderId);
+        
+        if (currentFolder && currentFolder.parent !== undefined) {
+            navigateToFolder(currentFolder.parent);
+        } else {
+            navigateToFolder(null);
+        }
+    }
+  };
+  
+  // Handler para abrir o modal de criação
+  const handleCreateItemRequest = (type) => {
+    setCreationType(type);
+    setShowCreationModal(true);
+  };
+
+  // Handler para executar a criação no Firebase (chamado pelo Modal)
+  const handleCreateItemSubmit = async (name) => {
+    if (!name || name.trim() === '') {
+        console.log("Criação cancelada ou nome vazio.");
+        return;
+    }
+
+    const type = creationType;
+    name = name.trim();
+    let submitted = false;
+    
+    try {
+      console.log(`Tentando criar ${type}: ${name} na pasta pai: ${currentFolderId || 'Raiz'}`);
+      
+      const newItem = {
+        name: await cipher.encryptText(name),
+        type,
+        parent: currentFolderId, 
+        size: 0,
+        createdAt: Date.now(),
+        createdBy: user.uid,
+      };
+      
+      // O conteúdo é criado antes do registro na árvore para o editor já encontrá-lo
+      const docRef = doc(roomFilesColRef);
+      const writes = [];
+      if (type === 'document') {
+          const empty = await cipher.encryptText('');
+          writes.push(setDoc(doc(roomContentsColRef, docRef.id), { content: empty, crdtBase: empty }));
+      }
+      writes.push(setDoc(docRef, newItem));
+      logActivity('created', { id: docRef.id, type, name });
+
+      // O item já aparece localmente (offline as escritas ficam na fila); o modal fecha sem
+      // esperar o servidor, e a confirmação (ou o erro) chega depois
+      submitted = true;
+      setShowCreationModal(false);
+      setCreationType(null);
+      if (type === 'document') {
+           onNavigate({ folderId: currentFolderId, fileId: docRef.id });
+      }
+
+      await Promise.all(writes);
+      console.log(`${type} criado com sucesso. ID: ${docRef.id}`);
+
+    } catch (e) {
+      console.error("ERRO CRÍTICO ao criar item:", e);
+      setShowConfirmModal({
+            message: `Erro ao criar "${name}": ${e.message || 'Desconhecido'}`,
+            onConfirm: () => setShowConfirmModal(null),
+            isError: true,
+      });
+      if (!submitted) {
+          setShowCreationModal(false);
+          setCreationType(null);
+      }
+    }
+  };
+  
+  // Handler para iniciar a renomeação
+  const handleRenameItemRequest = (item) => {
+    setShowRenameModal({
+        item: item,
+        onRename: async (newName) => {
+            if (newName && newName.trim() !== item.name) {
+                try {
+                    const name = await cipher.encryptText(newName.trim());
+                    setDoc(doc(roomFilesColRef, item.id), { name }, { merge: true })
+                        .catch(e => console.error("Erro ao renomear:", e));
+                    logActivity('renamed', { ...item, name: newName.trim() }, item.name);
+                } catch (e) {
+                    console.error("Erro ao renomear:", e);
+                }
+            }
+            setShowRenameModal(null);
+        }
+    });
+  };
+
+  // Resultado de busca: documentos abrem na ocorrência; arquivos e pastas abrem a pasta
+  const handleSearchSelect = (item, snippet, query) => {
+    setShowSearch(false);
+    if (item.type === 'folder') {
+        navigateToFolder(item.id);
+    } else if (item.type === 'document') {
+        if (snippet) setSearchJump({ fileId: item.id, index: snippet.index, query: query.trim().toLowerCase() });
+        openDocument(item.id);
+    } else {
+        navigateToFolder(item.parent ?? null);
+    }
+  };
+
+  // O modo (texto, Markdown ou só visualização) fica no item, igual para todos
+  // Leitores trocam o modo só na própria tela (o modo salvo no item vale para todos)
+  const [viewerEditorMode, setViewerEditorMode] = useState(null);
+  useEffect(() => setViewerEditorMode(null), [currentFileId]);
+
+  const setEditorMode = (mode) => {
+    if (!currentFileId) return;
+    if (!canEdit) {
+        setViewerEditorMode(mode);
+        return;
+    }
+    setDoc(doc(roomFilesColRef, currentFileId), { editorMode: mode }, { merge: true })
+        .catch(e => console.error("Erro ao mudar o modo do editor:", e));
+  };
+
+  // Linguagem do modo código; vazio volta a deduzir pela extensão do nome
+  const setCodeLanguage = (language) => {
+    if (!currentFileId) return;
+    setDoc(doc(roomFilesColRef, currentFileId), { language: language || deleteField() }, { merge: true })
+        .catch(e => console.error("Erro ao mudar a linguagem:", e));
+  };
+
+  // Handler para mover um item de pasta (arrastar e soltar ou "Mover para...")
+  const moveItem = (itemId, targetFolderId) => {
+    const target = targetFolderId ?? null;
+    if (!canMoveItem(allItems, itemId, target)) {
+        const item = allItems.find(i => i.id === itemId);
+        if (item && (item.parent ?? null) === target) return; // já está lá
+        setShowConfirmModal({
+            message: 'Não é possível mover uma pasta para dentro dela mesma ou de uma subpasta.',
+            onConfirm: () => setShowConfirmModal(null),
+            isError: true,
+        });
+        return;
+    }
+    setDoc(doc(roomFilesColRef, itemId), { parent: target, updatedAt: Date.now() }, { merge: true })
+        .catch(e => console.error("Erro ao mover item:", e));
+    const item = allItems.find(i => i.id === itemId);
+    if (item) logActivity('moved', item, target ? (allItems.find(i => i.id === target)?.name || 'pasta') : 'Raiz');
+  };
+
+  // Handler para iniciar a exclusão (move para a lixeira, com tudo que houver dentro)
+  const handleDeleteItemRequest = (itemId, name) => {
+    const descendants = collectDescendantIds(allItems, itemId);
+    setShowConfirmModal({
+        message: descendants.length > 0
+            ? `Mover "${name}" e os ${descendants.length} itens dentro dela para a lixeira?`
+            : `Mover "${name}" para a lixeira?`,
+        onConfirm: () => moveItemToTrash(itemId),
+    });
+  };
+
+  // Todos os itens recebem trashRoot = item apagado; o `parent` original é preservado
+  const moveItemToTrash = (itemId) => {
+    const ids = [itemId, ...collectDescendantIds(allItems, itemId)];
+    const trashFields = { trashedAt: Date.now(), trashedBy: user.uid, trashRoot: itemId };
+    commitMergeWrites(ids.map(id => [doc(roomFilesColRef, id), trashFields]))
+        .catch(e => console.error("Erro ao mover para a lixeira:", e));
+    const item = allItems.find(i => i.id === itemId);
+    if (item) logActivity('deleted', item, ids.length > 1 ? `com ${ids.length - 1} itens dentro` : null);
+    if (ids.includes(currentFileId)) {
+        onNavigate({ folderId: currentFolderId, fileId: null }, { replace: true }); 
+    }
+    setShowConfirmModal(null);
+  };
+
+  // Restaura o item e seus descendentes; se a pasta original sumiu, volta para a Raiz
+  const restoreTrashEntry = async (rootId) => {
+    try {
+        const root = trashedItems.find(i => i.id === rootId);
+        if (root) logActivity('restored', root);
+        const parentAlive = root?.parent && allItems.some(i => i.id === root.parent && i.type === 'folder');
+        const clearTrash = { trashedAt: deleteField(), trashedBy: deleteField(), trashRoot: deleteField() };
+        await commitMergeWrites(trashedItems
+            .filter(i => i.trashRoot === rootId)
+            .map(i => [
+                doc(roomFilesColRef, i.id),
+                i.id === rootId && !parentAlive ? { ...clearTrash, parent: null } : clearTrash,
+            ]));
+    } catch (e) {
+        console.error("Erro ao restaurar item:", e);
+    }
+  };
+
+  // Exclusão definitiva: registro da árvore e dados (texto, histórico, blocos)
+  // O registro na árvore vai por último: é por ele que as regras conferem o prazo dos dados
+  const deleteItemData = async (item, remove = deleteDoc) => {
+    if (item.type === 'document') {
+        const contentRef = doc(roomContentsColRef, item.id);
+        await deleteSubcollection(contentRef, 'ops', remove);
+        await deleteSubcollection(contentRef, 'versions', remove);
+        await remove(contentRef);
+        const threads = await getDocs(query(commentsColRef, where('fileId', '==', item.id)));
+        await Promise.all(threads.docs.map(d => remove(d.ref)));
+    } else if (item.type === 'file') {
+        await deleteFileBlob(doc(roomBlobsColRef, item.id), remove);
+    }
+    await remove(doc(roomFilesColRef, item.id));
+  };
+
+  const purgeTrashEntry = async (rootId, remove = deleteDoc) => {
+    if (purgingIdsRef.current.has(rootId)) return;
+    purgingIdsRef.current.add(rootId);
+    try {
+        const entryItems = trashedItems.filter(i => i.trashRoot === rootId);
+        for (const item of entryItems) await deleteItemData(item, remove);
+    } catch (e) {
+        console.error("Erro ao excluir item definitivamente:", e);
+    } finally {
+        purgingIdsRef.current.delete(rootId);
+    }
+  };
+
+  const purgeTrashedImage = async (imgObj, remove = deleteDoc) => {
+    if (purgingIdsRef.current.has(imgObj.id)) return;
+    purgingIdsRef.current.add(imgObj.id);
+    try {
+        await deleteFileBlob(doc(roomBlobsColRef, imgObj.id), remove);
+        await remove(doc(imagesColRef, imgObj.id));
+    } catch (e) {
+        console.error("Erro ao excluir imagem definitivamente:", e);
+    } finally {
+        purgingIdsRef.current.delete(imgObj.id);
+    }
+  };
+
+  // Exclusões pedidas por alguém (e não pela limpeza automática) entram no registro
+  const purgeTrashEntryByUser = (rootId) => {
+    const root = trashedItems.find(i => i.id === rootId);
+    if (root) logActivity('purged', root);
+    return purgeTrashEntry(rootId);
+  };
+
+  const purgeTrashedImageByUser = (imgObj) => {
+    logActivity('purged', { ...imgObj, type: 'image' });
+    return purgeTrashedImage(imgObj);
+  };
+
+  const emptyTrash = async () => {
+    setShowConfirmModal(null);
+    const roots = trashedItems.filter(i => i.trashRoot === i.id);
+    for (const root of roots) await purgeTrashEntryByUser(root.id);
+    for (const img of trashedImages) await purgeTrashedImageByUser(img);
+  };
+
+  const handleEmptyTrashRequest = () => {
+    setShowConfirmModal({
+        message: 'Esvaziar a lixeira? Os itens serão excluídos definitivamente.',
+        onConfirm: emptyTrash,
+    });
+  };
+
+  // Limpeza automática do que está na lixeira há mais de trashRetentionDays
+  const trashRetentionDays = roomMeta.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+  useEffect(() => {
+    const cutoff = Date.now() - trashRetentionDays * DAY_MS;
+    trashedItems
+        .filter(i => i.trashRoot === i.id && i.trashedAt < cutoff)
+        .forEach(root => purgeTrashEntry(root.id, deleteDueDoc));
+    trashedImages
+        .filter(img => img.trashedAt < cutoff)
+        .forEach(img => purgeTrashedImage(img, deleteDueDoc));
+  }, [trashedItems, trashedImages, trashRetentionDays]);
+
+  // Itens com prazo vencido são apagados de vez, sem passar pela lixeira
+  const purgeExpiredItem = async (item) => {
+    if (purgingIdsRef.current.has(item.id)) return;
+    purgingIdsRef.current.add(item.id);
+    try {
+        await deleteItemData(item, deleteDueDoc);
+    } catch (e) {
+        console.error("Erro ao apagar item expirado:", e);
+    } finally {
+        purgingIdsRef.current.delete(item.id);
+    }
+  };
+
+  const nextItemExpiry = [...allItems, ...trashedItems].reduce(
+    (next, item) => (item.expiresAt > Date.now() && item.expiresAt < next ? item.expiresAt : next),
+    Infinity
+  );
+  const expiryTick = useRerenderAt(nextItemExpiry);
+  useEffect(() => {
+    const expired = loadedItemsRef.current.filter(item => itemExpired(item));
+    if (expired.length === 0) return;
+    showItems(loadedItemsRef.current);
+    expired.forEach(purgeExpiredItem);
+  }, [expiryTick]);
+
+  const setItemExpiry = (item, { expiresAt, burnAfterReading }) => {
+    const changes = { expiresAt: expiresAt || deleteField() };
+    if (item.type === 'document') {
+        changes.burnAfterReading = burnAfterReading || deleteField();
+        // Documentos sem autor registrado: quem liga a leitura única passa a contar como autor
+        if (burnAfterReading && !item.createdBy) changes.createdBy = user.uid;
+    }
+    setDoc(doc(roomFilesColRef, item.id), changes, { merge: true })
+        .catch(e => console.error("Erro ao salvar expiração:", e));
+    setShowExpiryModal(null);
+  };
+
+  // Leitura única: ao abrir, quem não é o autor reivindica a leitura numa transação
+  // (só uma pessoa consegue) e o documento é apagado quando essa pessoa sai dele.
+  useEffect(() => {
+    if (!currentFileId || !mustClaimRead) {
+        setBurnClaim(null);
+        return;
+    }
+    const fileId = currentFileId;
+    const itemRef = doc(roomFilesColRef, fileId);
+    let granted = false;
+    let cancelled = false;
+    setBurnClaim({ fileId, status: 'checking' });
+
+    const refuse = (message) => {
+        if (cancelled) return;
+        onNavigate({ folderId: currentFolderId, fileId: null }, { replace: true });
+        setShowConfirmModal({ message, onConfirm: () => setShowConfirmModal(null), isError: true });
+    };
+
+    runTransaction(db, async (transaction) => {
+        const snap = await transaction.get(itemRef);
+        const data = snap.data();
+        if (!snap.exists() || (data.readBy && data.readBy !== user.uid)) return false;
+        if (!data.readBy) {
+            const readAt = Date.now();
+            transaction.set(itemRef, {
+                readBy: user.uid,
+                readAt,
+                expiresAt: Math.min(data.expiresAt || Infinity, readAt + BURN_READ_WINDOW),
+            }, { merge: true });
+        }
+        return true;
+    }).then((ok) => {
+        if (!ok) {
+            refuse('Este documento era de leitura única e já foi aberto por outra pessoa.');
+            return;
+        }
+        granted = true;
+        if (!cancelled) setBurnClaim({ fileId, status: 'granted' });
+    }).catch((e) => {
+        console.error("Erro ao abrir documento de leitura única:", e);
+        refuse(e.message === READ_ONLY_MESSAGE
+            ? 'Documentos de leitura única só podem ser abertos por quem tem acesso de edição.'
+            : 'É preciso estar online para abrir um documento de leitura única.');
+    });
+
+    return () => {
+        cancelled = true;
+        const item = allItemsRef.current.find(i => i.id === fileId);
+        if (granted && item) purgeExpiredItem(item);
+    };
+  }, [currentFileId, mustClaimRead]);
+  
+  // 6. Fila de Envios (várias fotos, arquivos e pastas inteiras por vez)
+  // As tarefas (com o File) ficam no ref; o estado guarda só o que a interface mostra.
+  const updateUploadTask = (id, changes) => {
+    setUploadQueue(queue => queue.map(task => task.id === id ? { ...task, ...changes } : task));
+  };
+
+  const enqueueUploads = (tasks) => {
+    if (tasks.length === 0) return;
+    const queued = tasks.map(task => ({ ...task, id: Math.random().toString(36).slice(2) }));
+    uploadTasksRef.current.push(...queued);
+    setUploadQueue(queue => [
+      ...queue,
+      ...queued.map(task => ({ id: task.id, kind: task.kind, name: task.file.name, loaded: 0, total: task.file.size, status: 'pending' })),
+    ]);
+    processUploadQueue();
+  };
+
+  const processUploadQueue = async () => {
+    if (processingUploadsRef.current) return;
+    processingUploadsRef.current = true;
+    while (uploadTasksRef.current.length > 0) {
+      const task = uploadTasksRef.current.shift();
+      updateUploadTask(task.id, { status: 'uploading' });
+      try {
+        if (task.kind === 'image') {
+          const imageId = await uploadImage(task.file);
+          task.onUploaded?.(imageId);
+        } else {
+          await uploadFile(task.file, task.parent, (loaded) => updateUploadTask(task.id, { loaded }));
+        }
+        updateUploadTask(task.id, { status: 'done', loaded: task.file.size });
+      } catch (err) {
+        console.error("Erro upload:", err);
+        updateUploadTask(task.id, { status: 'error', error: err.message || 'Desconhecido' });
+      }
+    }
+    processingUploadsRef.current = false;
+    setStatus('sincronizado');
+  };
+
+  const clearFinishedUploads = () => {
+    setUploadQueue(queue => queue.filter(task => task.status === 'pending' || task.status === 'uploading'));
+  };
+
+  // 6a. Upload de Imagem
+  // A imagem processada vai em blocos para sharepad_blobs (mesmo id do documento da
+  // imagem); o documento em sharepad_images guarda só a miniatura e os metadados.
+  const uploadImage = async (file) => {
+    if (!file.type.startsWith('image/')) throw new Error('Não é uma imagem');
+    const processed = await compressImage(file, roomMeta.imagePreset || DEFAULT_IMAGE_PRESET);
+    if (processed.blob.size > MAX_FILE_SIZE) {
+      throw new Error(`Imagem muito grande. O limite é de ${formatBytes(MAX_FILE_SIZE)}.`);
+    }
+
+    const imageRef = doc(imagesColRef);
+    const sha256 = await sha256Hex(await processed.blob.arrayBuffer());
+    await uploadFileChunks(doc(roomBlobsColRef, imageRef.id), processed.blob, { sha256, cipher });
+    await setDoc(imageRef, {
+      thumbnail: await cipher.encryptText(processed.thumbnail),
+      name: await cipher.encryptText(file.name),
+      mimeType: processed.mimeType,
+      width: processed.width,
+      height: processed.height,
+      size: processed.blob.size,
+      uploadedBy: user.uid,
+      createdAt: Date.now()
+    });
+    logActivity('uploaded', { id: imageRef.id, type: 'image', name: file.name });
+    return imageRef.id;
+  };
+
+  // A imagem completa só é buscada quando alguém pede (imagens antigas têm `url` no próprio documento)
+  const loadFullImage = useCallback(
+    (img) => readFileBlob(doc(roomBlobsColRef, img.id), img.url, cipher),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [slug, cipher]
+  );
+
+  const closeLightbox = useCallback(() => setLightboxImageId(null), []);
+  const closePreview = useCallback(() => setPreviewItem(null), []);
+
+  // URLs das imagens citadas em documentos; a pré-visualização re-renderiza a cada tecla
+  const imageUrlCacheRef = useRef(new Map());
+  const loadImageUrl = useCallback((img) => {
+    const cache = imageUrlCacheRef.current;
+    if (!cache.has(img.id)) {
+      const entry = { url: null };
+      entry.promise = loadFullImage(img).then((blob) => {
+        entry.url = URL.createObjectURL(blob);
+        return entry.url;
+      });
+      entry.promise.catch(() => cache.delete(img.id));
+      cache.set(img.id, entry);
+    }
+    return cache.get(img.id);
+  }, [loadFullImage]);
+
+  useEffect(() => {
+    const cache = imageUrlCacheRef.current;
+    return () => {
+      cache.forEach(entry => entry.promise.then(url => URL.revokeObjectURL(url), () => {}));
+      cache.clear();
+    };
+  }, [slug]);
+
+  const describeUploader = (uid) => {
+    if (!uid) return 'Autor desconhecido';
+    if (uid === user.uid) return `${nickname} (você)`;
+    return participants.find(p => p.uid === uid)?.name || generatedNickname(uid);
+  };
+
+  const handleDownloadImage = async (img) => {
+    try {
+      const blob = await loadFullImage(img);
+      downloadBlob(blob, img.name || `sharepad-${img.id}.${(blob.type.split('/')[1] || 'jpg').replace('jpeg', 'jpg')}`);
+    } catch (err) {
+      console.error("Erro ao baixar imagem:", err);
+      setShowConfirmModal({
+            message: `Erro ao baixar a imagem: ${err.message || 'Desconhecido'}`,
+            onConfirm: () => setShowConfirmModal(null),
+            isError: true,
+        });
+    }
+  };
+
+  const handleImageUpload = (e) => {
+    const files = Array.from(e.target.files || []);
+    enqueueUploads(files.map(file => ({ kind: 'image', file })));
+    e.target.value = null;
+  };
+
+  // Fotos soltas na galeria (pastas são percorridas em busca de imagens)
+  const handleImageDrop = async (dataTransfer) => {
+    if (!canEdit) return;
+    const { files } = await collectDroppedFiles(dataTransfer);
+    enqueueUploads(files.map(({ file }) => ({ kind: 'image', file })));
+  };
+  
+  // 7. Upload de Arquivo Genérico
+  const uploadFile = async (file, parent, onProgress) => {
+    if (file.size > MAX_FILE_SIZE) {
+      throw new Error(`Arquivo muito grande. O limite é de ${formatBytes(MAX_FILE_SIZE)}.`);
+    }
+
+    setStatus(`verificando arquivo: ${file.name}...`);
+    const sha256 = await sha256Hex(await file.arrayBuffer());
+
+    // Um envio interrompido do mesmo conteúdo é retomado em vez de recomeçar
+    const interrupted = allItemsRef.current.find(i => i.type === 'file' && i.uploadComplete === false && i.sha256 === sha256);
+    const itemRef = interrupted ? doc(roomFilesColRef, interrupted.id) : doc(roomFilesColRef);
+    if (!interrupted) {
+      await setDoc(itemRef, {
+        name: await cipher.encryptText(file.name),
+        type: 'file', // Novo tipo
+        parent, 
+        size: file.size,
+        mimeType: file.type,
+        sha256: await cipher.encryptText(sha256),
+        uploadComplete: false,
+        createdAt: Date.now(),
+        createdBy: user.uid,
+      });
+    }
+
+    setStatus(`enviando arquivo: ${file.name}...`);
+    await uploadFileChunks(doc(roomBlobsColRef, itemRef.id), file, { sha256, onProgress, cipher });
+    await setDoc(itemRef, { uploadComplete: true, updatedAt: Date.now() }, { merge: true });
+    logActivity('uploaded', { id: itemRef.id, type: 'file', name: file.name });
+  };
+
+  // Recria as pastas soltas/selecionadas como itens 'folder' e devolve o id de cada caminho
+  const createFolderTree = async (folderPaths, rootParent) => {
+    const idsByPath = new Map();
+    const sorted = [...new Set(folderPaths.map(path => path.join('/')))]
+      .filter(Boolean)
+      .sort((a, b) => a.split('/').length - b.split('/').length);
+    for (const key of sorted) {
+      const parts = key.split('/');
+      const parentKey = parts.slice(0, -1).join('/');
+      const folderRef = doc(roomFilesColRef);
+      await setDoc(folderRef, {
+        name: await cipher.encryptText(parts[parts.length - 1]),
+        type: 'folder',
+        parent: parentKey ? idsByPath.get(parentKey) : rootParent,
+        createdAt: Date.now(),
+        createdBy: user.uid,
+      });
+      logActivity('created', { id: folderRef.id, type: 'folder', name: parts[parts.length - 1] });
+      idsByPath.set(key, folderRef.id);
+    }
+    return idsByPath;
+  };
+
+  const enqueueFileTree = async ({ files, folders }) => {
+    const parent = currentFolderId;
+    try {
+      const idsByPath = await createFolderTree([...folders, ...files.map(f => f.path)], parent);
+      enqueueUploads(files.map(({ file, path }) => ({
+        kind: 'file',
+        file,
+        parent: path.length ? idsByPath.get(path.join('/')) : parent,
+      })));
+    } catch (err) {
+      console.error("Erro ao criar pastas:", err);
+      setShowConfirmModal({
+            message: `Erro ao criar as pastas: ${err.message || 'Desconhecido'}`,
+            onConfirm: () => setShowConfirmModal(null),
+            isError: true,
+        });
+    }
+  };
+
+  // Seletor de arquivos (múltiplos) ou de pasta (webkitdirectory)
+  const handleFileUpload = (e) => {
+    const files = Array.from(e.target.files || []).map(file => ({
+      file,
+      path: file.webkitRelativePath ? file.webkitRelativePath.split('/').slice(0, -1) : [],
+    }));
+    enqueueFileTree({ files, folders: [] });
+    e.target.value = null;
+  };
+
+  const handleFileDrop = async (dataTransfer) => {
+    enqueueFileTree(await collectDroppedFiles(dataTransfer));
+  };
+
+  // 7a. Colar (Ctrl+V) imagens e arquivos em qualquer lugar da sala.
+  // Com o editor focado, a imagem vai para a galeria e é citada no texto onde estava o cursor;
+  // fora dele, vai só para a galeria. Outros arquivos viram itens da pasta atual.
+  const insertImageReference = (session, anchor, imageId, name) => {
+    if (editorSessionRef.current !== session || !session.ready) return;
+    const current = session.crdt.text();
+    const index = session.crdt.indexOfAnchor(anchor);
+    const snippet = roomImageMarkdown(imageId, name);
+    const textarea = textareaRef.current;
+    const shift = (pos) => pos >= index ? pos + snippet.length : pos;
+    const selection = textarea && document.activeElement === textarea
+      ? [shift(textarea.selectionStart), shift(textarea.selectionEnd)]
+      : null;
+    applyTextEdit(current.slice(0, index) + snippet + current.slice(index), selection);
+  };
+
+  const handlePaste = (e) => {
+    if (!canEdit) return;
+    const files = Array.from(e.clipboardData?.files || []).map(namePastedFile);
+    if (files.length === 0) return;
+    // Office e planilhas copiam o texto junto com uma imagem dele: num campo de texto, vale o texto
+    const editable = e.target instanceof HTMLElement && (e.target.isContentEditable || /^(INPUT|TEXTAREA)$/.test(e.target.tagName));
+    if (editable && e.clipboardData.types.includes('text/plain')) return;
+    e.preventDefault();
+
+    const images = files.filter(file => file.type.startsWith('image/'));
+    const others = files.filter(file => !file.type.startsWith('image/'));
+    const session = editorSessionRef.current;
+    const textarea = textareaRef.current;
+    const inEditor = currentFileId && session?.ready && textarea && e.target === textarea && !textarea.readOnly;
+    const anchor = inEditor ? session.crdt.anchorAt(textarea.selectionStart) : null;
+
+    enqueueUploads(images.map(file => ({
+      kind: 'image',
+      file,
+      onUploaded: inEditor ? (imageId) => insertImageReference(session, anchor, imageId, file.name) : undefined,
+    })));
+    if (others.length > 0) enqueueFileTree({ files: others.map(file => ({ file, path: [] })), folders: [] });
+    if (images.length > 0 && !inEditor) setShowSidebar(true);
+  };
+
+  const handlePasteRef = useRef(handlePaste);
+  handlePasteRef.current = handlePaste;
+
+  useEffect(() => {
+    const listener = (e) => handlePasteRef.current(e);
+    window.addEventListener('paste', listener);
+    return () => window.removeEventListener('paste', listener);
+  }, []);
+  
+  // Exporta a sala inteira: árvore de pastas, documentos, arquivos e a galeria em images/
+  const exportRoomZip = async () => {
+    const entries = [];
+    const usedPaths = new Set();
+    const uniquePath = (prefix, name, suffix = '') => {
+      const dot = suffix ? -1 : name.lastIndexOf('.');
+      const base = dot > 0 ? name.slice(0, dot) : name;
+      const ext = dot > 0 ? name.slice(dot) : '';
+      let path = `${prefix}${name}${suffix}`;
+      for (let n = 2; usedPaths.has(path.toLowerCase()); n++) path = `${prefix}${base} (${n})${ext}${suffix}`;
+      usedPaths.add(path.toLowerCase());
+      return path;
+    };
+
+    const addFolder = async (parentId, prefix) => {
+      const children = allItems
+        .filter(item => (item.parent ?? null) === parentId)
+        .sort((a, b) => a.name.localeCompare(b.name));
+      for (const item of children) {
+        const modified = toMillis(item.updatedAt || item.createdAt);
+        if (item.type === 'folder') {
+          const path = uniquePath(prefix, zipSafeName(item.name), '/');
+          entries.push({ path, modified });
+          await addFolder(item.id, path);
+        } else if (item.type === 'document') {
+          const snap = await getDoc(doc(roomContentsColRef, item.id));
+          const content = snap.exists() ? await cipher.decryptText(snap.data().content || '') : '';
+          const name = documentFileName(zipSafeName(item.name));
+          entries.push({
+            path: uniquePath(prefix, name),
+            data: new TextEncoder().encode(content),
+            comment: /\.md$/i.test(name) ? 'text/markdown' : 'text/plain',
+            modified,
+          });
+        } else if (item.type === 'file' && item.uploadComplete !== false) {
+          const blob = await readFileBlob(doc(roomBlobsColRef, item.id), item.url, cipher);
+          entries.push({
+            path: uniquePath(prefix, zipSafeName(item.name)),
+            data: new Uint8Array(await blob.arrayBuffer()),
+            comment: item.mimeType || blob.type || '',
+            modified,
+          });
+        }
+        setStatus(`exportando sala... (${entries.length})`);
+      }
+    };
+
+    setStatus('exportando sala...');
+    try {
+      await addFolder(null, '');
+      if (images.length > 0) {
+        const imagesDir = uniquePath('', 'images', '/');
+        entries.push({ path: imagesDir });
+        for (const img of images) {
+          if (!img.url && !img.thumbnail) continue;
+          const blob = await readFileBlob(doc(roomBlobsColRef, img.id), img.url, cipher);
+          const fallbackName = `imagem-${img.id}.${(blob.type.split('/')[1] || 'jpg').replace('jpeg', 'jpg')}`;
+          entries.push({
+            path: uniquePath(imagesDir, zipSafeName(img.name || fallbackName)),
+            data: new Uint8Array(await blob.arrayBuffer()),
+            comment: blob.type,
+            modified: toMillis(img.createdAt),
+          });
+        }
+      }
+      downloadBlob(createZip(entries), `${slug}.zip`);
+      setStatus('sincronizado');
+    } catch (err) {
+      console.error("Erro ao exportar sala:", err);
+      setStatus('erro ao exportar sala');
+      setShowConfirmModal({
+            message: `Erro ao exportar a sala: ${err.message || 'Desconhecido'}`,
+            onConfirm: () => setShowConfirmModal(null),
+            isError: true,
+        });
+    }
+  };
+
+  // Importa um ZIP na pasta atual: .txt/.md viram documentos, o resto vai para a fila de envios
+  const handleZipImport = async (e) => {
+    const zipFile = e.target.files?.[0];
+    e.target.value = null;
+    if (!zipFile) return;
+
+    const parent = currentFolderId;
+    setStatus('importando ZIP...');
+    try {
+      const entries = await readZip(zipFile);
+      const splitPath = (path) => path.split('/').filter(Boolean);
+      const folderPaths = entries.map(entry => {
+        const parts = splitPath(entry.path);
+        return entry.directory ? parts : parts.slice(0, -1);
+      });
+      const idsByPath = await createFolderTree(folderPaths, parent);
+      const parentOf = (parts) => (parts.length > 1 ? idsByPath.get(parts.slice(0, -1).join('/')) : parent);
+
+      const uploads = [];
+      for (const entry of entries.filter(entry => !entry.directory)) {
+        const parts = splitPath(entry.path);
+        const name = parts[parts.length - 1];
+        if (/\.(txt|md)$/i.test(name) && entry.data.length <= MAX_IMPORTED_DOCUMENT_SIZE) {
+          const content = new TextDecoder().decode(entry.data);
+          const itemRef = doc(roomFilesColRef);
+          const encrypted = await cipher.encryptText(content);
+          await setDoc(doc(roomContentsColRef, itemRef.id), { content: encrypted, crdtBase: encrypted });
+          await setDoc(itemRef, {
+            name: await cipher.encryptText(name.replace(/\.txt$/i, '')),
+            type: 'document',
+            parent: parentOf(parts),
+            size: textSize(content),
+            createdAt: Date.now(),
+            createdBy: user.uid,
+          });
+          logActivity('created', { id: itemRef.id, type: 'document', name: name.replace(/\.txt$/i, '') });
+        } else {
+          uploads.push({
+            kind: 'file',
+            file: new File([entry.data], name, { type: entry.comment || '' }),
+            parent: parentOf(parts),
+          });
+        }
+      }
+      enqueueUploads(uploads);
+      setStatus('sincronizado');
+    } catch (err) {
+      console.error("Erro ao importar ZIP:", err);
+      setStatus('erro ao importar ZIP');
+      setShowConfirmModal({
+            message: `Erro ao importar o ZIP: ${err.message || 'Desconhecido'}`,
+            onConfirm: () => setShowConfirmModal(null),
+            isError: true,
+        });
+    }
+  };
+
+  // Busca os dados do arquivo só quando alguém pede o download
+  const handleDownloadFile = async (item) => {
+    if (item.uploadComplete === false) {
+      setShowConfirmModal({
+            message: `O envio de "${item.name}" foi interrompido. Carregue o mesmo arquivo novamente para retomar de onde parou.`,
+            onConfirm: () => setShowConfirmModal(null),
+            isError: true,
+        });
+      return;
+    }
+    setStatus(`baixando arquivo: ${item.name}...`);
+    try {
+      const blob = await readFileBlob(doc(roomBlobsColRef, item.id), item.url, cipher);
+      downloadBlob(blob, item.name);
+      setStatus('sincronizado');
+    } catch (err) {
+      console.error("Erro ao baixar arquivo:", err);
+      setStatus('erro ao baixar arquivo');
+      setShowConfirmModal({
+            message: `Erro ao baixar o arquivo: ${err.message || 'Desconhecido'}`,
+            onConfirm: () => setShowConfirmModal(null),
+            isError: true,
+        });
+    }
+  };
+
+  // Handler para iniciar a exclusão de imagem
+  const handleDeleteImageRequest = (imgObj) => {
+    setShowConfirmModal({
+        message: "Mover esta imagem para a lixeira?",
+        onConfirm: () => deleteImage(imgObj),
+    });
+  };
+
+  // Handler para mover a imagem para a lixeira no Firebase
+  const deleteImage = async (imgObj) => {
+    try {
+      const imgDocRef = doc(db, 'artifacts', appId, 'public', 'data', `sharepad_images_${scope}`, imgObj.id);
+      logActivity('deleted', { ...imgObj, type: 'image' });
+      await setDoc(imgDocRef, { trashedAt: Date.now(), trashedBy: user.uid }, { merge: true });
+    } catch (err) {
+      console.error("Erro ao deletar:", err);
+    } finally {
+        setShowConfirmModal(null);
+    }
+  };
+
+  const restoreTrashedImage = async (imgObj) => {
+    logActivity('restored', { ...imgObj, type: 'image' });
+    try {
+      await setDoc(doc(imagesColRef, imgObj.id), { trashedAt: deleteField(), trashedBy: deleteField() }, { merge: true });
+    } catch (err) {
+      console.error("Erro ao restaurar imagem:", err);
+    }
+  };
+
+  // Link completo para o ponto atual (sala, pasta e documento abertos), sem a chave de edição
+  const copyLink = () => {
+    const roomKey = readKeyFromHash(window.location.hash);
+    navigator.clipboard.writeText(buildRoomLink(slug, { roomKey, folderId: currentFolderId, fileId: currentFileId }));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  // --- Renderização do Conteúdo Principal ---
+  const imageTasks = uploadQueue.filter(task => task.kind === 'image');
+  const trashCount = trashedItems.filter(i => i.trashRoot === i.id).length + trashedImages.length;
+  const imagesUploading = imageTasks.some(task => task.status === 'pending' || task.status === 'uploading');
+
+  const currentFile = allItems.find(item => item.id === currentFileId);
+  const editorMode = (!canEdit && viewerEditorMode) || documentEditorMode(currentFile);
+
+  const isOffline = !online || !serverConnected;
+  const pendingLabel = `${pendingWrites} ${pendingWrites === 1 ? 'escrita pendente' : 'escritas pendentes'}`;
+  const syncStatus = isOffline
+    ? `offline – ${pendingLabel}`
+    : pendingWrites > 0 ? `sincronizando – ${pendingLabel}` : status;
+
+  // Cursores de quem está no mesmo documento, convertidos das âncoras para posições atuais
+  const remoteCursors = editorReady && editorSessionRef.current?.ready
+    ? participants
+        .filter(p => p.cursor && p.cursor.fileId === currentFileId)
+        .map(p => ({
+            id: p.id,
+            name: p.name,
+            color: p.color,
+            start: editorSessionRef.current.crdt.indexOfAnchor(p.cursor.start),
+            end: editorSessionRef.current.crdt.indexOfAnchor(p.cursor.end),
+        }))
+    : [];
+  // Conversas do documento aberto, com o trecho convertido das âncoras para posições atuais.
+  // Se todo o trecho foi apagado, a conversa continua no painel, sem destaque no texto.
+  const documentThreads = editorReady && editorSessionRef.current?.ready
+    ? commentThreads
+        .filter(thread => thread.fileId === currentFileId)
+        .map(thread => {
+            const from = editorSessionRef.current.crdt.indexOfAnchor(thread.start);
+            const to = editorSessionRef.current.crdt.indexOfAnchor(thread.end);
+            return { ...thread, from, to, detached: to <= from };
+        })
+        .sort((a, b) => a.from - b.from || (a.createdAt || 0) - (b.createdAt || 0))
+    : [];
+  const commentHighlights = documentThreads
+    .filter(thread => !thread.resolved && !thread.detached)
+    .map(thread => ({ id: thread.id, from: thread.from, to: thread.to, active: thread.id === activeThreadId }));
+  const commentsByItem = commentThreads.reduce((acc, thread) => {
+    if (!thread.resolved) acc[thread.fileId] = (acc[thread.fileId] || 0) + 1;
+    return acc;
+  }, {});
+
+  // Com o painel aberto, pôr o cursor dentro de um trecho comentado abre a conversa dele
+  const handleEditorSelect = () => {
+    publishCursor();
+    const textarea = textareaRef.current;
+    if (!showComments || !textarea || textarea.selectionStart !== textarea.selectionEnd) return;
+    const caret = textarea.selectionStart;
+    const hit = commentHighlights.find(h => caret > h.from && caret <= h.to);
+    if (hit) setActiveThreadId(hit.id);
+  };
+
+  const selectThread = (thread) => {
+    setActiveThreadId(thread.id);
+    const textarea = textareaRef.current;
+    if (!textarea || thread.detached) return;
+    textarea.focus();
+    textarea.setSelectionRange(thread.from, thread.to);
+  };
+
+  const viewersByItem = participants.reduce((acc, p) => {
+    if (p.fileId) (acc[p.fileId] = acc[p.fileId] || []).push(p);
+    return acc;
+  }, {});
+  const inferredLanguage = inferCodeLanguage(currentFile?.name);
+  const codeLanguage = currentFile?.language || inferredLanguage;
+  const codeCheck = currentFileId && editorMode === EDITOR_MODES.code && editorReady && CODE_VALIDATORS[codeLanguage]
+    ? CODE_VALIDATORS[codeLanguage](text)
+    : null;
+  
+  const mainContent = currentFileId ? (
+    // MODO EDITOR DE TEXTO
+    <div className="flex flex-col h-full">
+        <div className="p-4 border-b border-gray-100 flex items-center justify-between bg-white flex-shrink-0">
+            <button onClick={goBack} className="p-1 hover:bg-gray-100 rounded-full text-gray-500 flex items-center gap-1">
+                <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5">
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M10.5 19.5 3 12m0 0 7.5-7.5M3 12h18" />
+                </svg>
+                <span className="text-sm font-medium">Voltar</span>
+            </button>
+            <h3 className="font-semibold text-gray-800 truncate flex-1 text-center">
+                {currentFile?.name || 'Documento'}
+            </h3>
+            {editorMode === EDITOR_MODES.code && (
+                <select
+                    value={currentFile?.language || ''}
+                    onChange={(e) => setCodeLanguage(e.target.value)}
+                    disabled={!canEdit}
+                    className="mr-2 text-xs border border-gray-200 rounded-lg px-2 py-1 bg-white text-gray-600"
+                    title="Linguagem"
+                >
+                    <option value="">Automático{inferredLanguage ? ` (${CODE_LANGUAGES[inferredLanguage].label})` : ''}</option>
+                    {Object.entries(CODE_LANGUAGES).map(([key, language]) => (
+                        <option key={key} value={key}>{language.label}</option>
+                    ))}
+                </select>
+            )}
+            <div className="flex items-center bg-gray-100 rounded-lg p-0.5 mr-2 text-xs font-medium">
+                {[
+                    { mode: EDITOR_MODES.plain, label: 'Texto' },
+                    { mode: EDITOR_MODES.markdown, label: 'Markdown' },
+                    { mode: EDITOR_MODES.markdownPreview, label: 'Visualizar' },
+                    { mode: EDITOR_MODES.code, label: 'Código' },
+                ].map(option => (
+                    <button
+                        key={option.mode}
+                        onClick={() => setEditorMode(option.mode)}
+                        className={`px-2.5 py-1 rounded-md transition ${editorMode === option.mode ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+            <button
+                onClick={() => {
+                    setShowComments(!showComments);
+                    setShowHistory(false);
+                }}
+                className={`p-1 mr-1 rounded-full flex items-center gap-1 ${showComments ? 'bg-blue-50 text-blue-600' : 'text-gray-500 hover:bg-gray-100'}`}
+                title="Comentários"
+            >
+                <MessageSquare className="w-5 h-5" />
+                <span className="text-sm font-medium hidden sm:inline">Comentários</span>
+                {commentsByItem[currentFileId] > 0 && (
+                    <span className="text-xs font-semibold bg-yellow-100 text-yellow-800 rounded-full px-1.5">{commentsByItem[currentFileId]}</span>
+                )}
+            </button>
+            <button
+                onClick={() => {
+                    setShowHistory(!showHistory);
+                    setShowComments(false);
+                }}
+                className={`p-1 rounded-full flex items-center gap-1 ${showHistory ? 'bg-blue-50 text-blue-600' : 'text-gray-500 hover:bg-gray-100'}`}
+                title="Histórico de versões"
+            >
+                <History className="w-5 h-5" />
+                <span className="text-sm font-medium hidden sm:inline">Histórico</span>
+            </button>
+        </div>
+        {currentFile?.burnAfterReading ? (
+            <div className="px-4 py-2 text-xs bg-orange-50 text-orange-700 border-b border-orange-100 flex items-center gap-2 flex-shrink-0">
+                <Flame className="w-4 h-4 flex-shrink-0" />
+                {currentFile.createdBy === user.uid
+                    ? (currentFile.readBy
+                        ? <span>Leitura única: já foi aberto por outra pessoa e será apagado em <ExpiryCountdown expiresAt={currentFile.expiresAt} />.</span>
+                        : <span>Leitura única: será apagado depois que outra pessoa abrir.</span>)
+                    : <span>Leitura única: este documento será apagado quando você sair dele{currentFile.expiresAt ? <> (ou em <ExpiryCountdown expiresAt={currentFile.expiresAt} />)</> : null}.</span>}
+            </div>
+        ) : currentFile?.expiresAt && (
+            <div className="px-4 py-2 text-xs bg-red-50 text-red-700 border-b border-red-100 flex items-center gap-2 flex-shrink-0">
+                <Clock className="w-4 h-4 flex-shrink-0" />
+                <span>Este documento será apagado em <ExpiryCountdown expiresAt={currentFile.expiresAt} /> ({safeFormatDateTime(currentFile.expiresAt)}).</span>
+            </div>
+        )}
+        {!itemsLoaded || (mustClaimRead && !(burnClaim?.fileId === currentFileId && burnClaim.status === 'granted')) ? (
+            <div className="flex flex-1 items-center justify-center text-gray-400 gap-2">
+                <Loader2 className="w-5 h-5 animate-spin" /> Abrindo documento...
+            </div>
+        ) : (
+        <div className="flex flex-1 overflow-hidden">
+        {editorMode === EDITOR_MODES.code && (
+            <CodeEditor
+                inputRef={textareaRef}
+                value={text}
+                language={codeLanguage}
+                readOnly={!editorReady || !canEdit}
+                placeholder={editorReady ? (canEdit ? "Digite aqui..." : "Documento vazio.") : "Carregando..."}
+                onEdit={applyTextEdit}
+                onSelectionChange={handleEditorSelect}
+                remoteCursors={remoteCursors}
+                commentHighlights={commentHighlights}
+            />
+        )}
+        {(editorMode === EDITOR_MODES.plain || editorMode === EDITOR_MODES.markdown) && (
+            <div className={`relative flex-1 min-w-0 bg-white ${editorMode === EDITOR_MODES.markdown ? 'border-r border-gray-100' : 'w-full'}`}>
+                <RemoteCursorsOverlay
+                    overlayRef={cursorsOverlayRef}
+                    text={text}
+                    cursors={remoteCursors}
+                    highlights={commentHighlights}
+                    className="p-6 font-mono text-base leading-relaxed whitespace-pre-wrap break-words overflow-y-scroll"
+                />
+                <textarea
+                    ref={textareaRef}
+                    value={text}
+                    onChange={handleTextChange}
+                    onSelect={handleEditorSelect}
+                    onScroll={(e) => {
+                        if (cursorsOverlayRef.current) cursorsOverlayRef.current.scrollTop = e.target.scrollTop;
+                    }}
+                    readOnly={!editorReady || !canEdit}
+                    placeholder={editorReady ? (canEdit ? "Digite aqui..." : "Documento vazio.") : "Carregando..."}
+                    className="absolute inset-0 w-full h-full p-6 resize-none outline-none bg-transparent font-mono text-gray-800 text-base leading-relaxed overflow-y-scroll"
+                    spellCheck={false}
+                />
+            </div>
+        )}
+        {(editorMode === EDITOR_MODES.markdown || editorMode === EDITOR_MODES.markdownPreview) && (
+            <RoomImagesContext.Provider value={{ images, loadImageUrl, openImage: setLightboxImageId }}>
+                <MarkdownPreview text={text} className="flex-1 min-w-0" />
+            </RoomImagesContext.Provider>
+        )}
+        {showHistory && (
+            <VersionHistoryPanel
+                versions={versions}
+                currentText={text}
+                currentUid={user.uid}
+                onRestore={canEdit ? handleRestoreVersionRequest : null}
+                onClose={() => setShowHistory(false)}
+            />
+        )}
+        {showComments && (
+            <CommentsPanel
+                threads={documentThreads}
+                draft={commentDraft?.fileId === currentFileId ? commentDraft : null}
+                sending={commentSending}
+                activeThreadId={activeThreadId}
+                currentUid={user.uid}
+                canComment={canEdit && editorReady}
+                canSelectText={editorMode !== EDITOR_MODES.markdownPreview}
+                canDelete={(thread) => canEdit && (thread.createdBy === user.uid || isOwner)}
+                onStartDraft={startCommentDraft}
+                onCancelDraft={() => setCommentDraft(null)}
+                onSubmitDraft={submitCommentDraft}
+                onSelectThread={selectThread}
+                onReply={replyToThread}
+                onToggleResolved={toggleThreadResolved}
+                onDelete={handleDeleteThreadRequest}
+                onClose={() => setShowComments(false)}
+            />
+        )}
+        </div>
+        )}
+    </div>
+  ) : (
+    // MODO NAVEGADOR DE ARQUIVOS/PASTAS
+    <FileBrowser 
+        content={folderContent}
+        currentFolderId={currentFolderId}
+        currentFolderName={currentFolderName}
+        folderPath={getFolderPath(allItems, currentFolderId)}
+        folderTree={buildFolderTree(allItems)}
+        onNavigate={navigateToFolder}
+        onOpenFile={openDocument}
+        onCreateItem={handleCreateItemRequest}
+        onGoBack={goBack}
+        onRename={handleRenameItemRequest}
+        onDelete={handleDeleteItemRequest}
+        onFileUpload={handleFileUpload}
+        onDownloadFile={handleDownloadFile}
+        onPreviewFile={setPreviewItem}
+        onFileDrop={handleFileDrop}
+        onZipImport={handleZipImport}
+        viewersByItem={viewersByItem}
+        commentsByItem={commentsByItem}
+        parentFolderId={allItems.find(i => i.id === currentFolderId)?.parent ?? null}
+        canMove={(itemId, targetFolderId) => canMoveItem(allItems, itemId, targetFolderId)}
+        onMove={moveItem}
+        onMoveRequest={setShowMoveModal}
+        onExpiryRequest={setShowExpiryModal}
+        readOnly={!canEdit}
+        uploadTasks={uploadQueue.filter(task => task.kind === 'file')}
+        onClearUploads={clearFinishedUploads}
+    />
+  );
+
+  return (
+    <div className="flex flex-col h-screen overflow-hidden bg-white">
+      
+      {/* Modals */}
+      {showCreationModal && (
         <CreationModal 
             type={creationType} 
             onClose={() => setShowCreationModal(false)}
@@ -593,6 +4688,72 @@ function Room({ slug, onExit, user }) {
         />
       )}
       
+      {showTrash && (
+        <TrashModal
+            trashedItems={trashedItems}
+            trashedImages={trashedImages}
+            retentionDays={trashRetentionDays}
+            onRestore={restoreTrashEntry}
+            onPurge={purgeTrashEntryByUser}
+            onRestoreImage={restoreTrashedImage}
+            onPurgeImage={purgeTrashedImageByUser}
+            onEmpty={handleEmptyTrashRequest}
+            onClose={() => setShowTrash(false)}
+        />
+      )}
+
+      {showActivity && (
+        <ActivityModal
+            entries={activity}
+            filter={activityFilter}
+            onFilterChange={handleActivityFilterChange}
+            hasMore={!!activity && activity.length >= activityLimit}
+            onLoadMore={() => setActivityLimit(current => current + ACTIVITY_PAGE_SIZE)}
+            currentUid={user.uid}
+            itemExists={(entry) => (entry.itemType === 'image'
+                ? images.some(img => img.id === entry.itemId)
+                : allItems.some(i => i.id === entry.itemId))}
+            onSelect={handleActivitySelect}
+            onClose={() => {
+                setShowActivity(false);
+                handleActivityFilterChange(ACTIVITY_FILTERS[0]);
+            }}
+        />
+      )}
+
+      {showSearch && (
+        <SearchModal
+            allItems={allItems}
+            contents={searchContents}
+            onSelect={handleSearchSelect}
+            onClose={() => setShowSearch(false)}
+        />
+      )}
+
+      {previewItem && (
+        <FilePreviewModal
+            item={previewItem}
+            loadBlob={(item) => readFileBlob(doc(roomBlobsColRef, item.id), item.url, cipher)}
+            encrypted={cipher.encrypted}
+            onDownload={handleDownloadFile}
+            onClose={closePreview}
+        />
+      )}
+
+      {lightboxImageId && (
+        <ImageLightbox
+            images={images}
+            imageId={lightboxImageId}
+            onNavigate={setLightboxImageId}
+            onClose={closeLightbox}
+            loadImage={loadFullImage}
+            onDownload={handleDownloadImage}
+            onDelete={canEdit ? handleDeleteImageRequest : null}
+            describeUploader={describeUploader}
+            paused={!!showConfirmModal}
+        />
+      )}
+
       {showConfirmModal && (
         <ConfirmationModal 
             message={showConfirmModal.message}
@@ -610,6 +4771,35 @@ function Room({ slug, onExit, user }) {
         />
       )}
 
+      {showExpiryModal && (
+        <ItemExpiryModal
+            item={showExpiryModal}
+            onClose={() => setShowExpiryModal(null)}
+            onSave={(settings) => setItemExpiry(showExpiryModal, settings)}
+        />
+      )}
+
+      {showMoveModal && (
+        <MoveModal
+            item={showMoveModal}
+            allItems={allItems}
+            onClose={() => setShowMoveModal(null)}
+            onMove={(targetFolderId) => {
+                moveItem(showMoveModal.id, targetFolderId);
+                setShowMoveModal(null);
+            }}
+        />
+      )}
+
+      {showSettings && (
+        <RoomSettingsModal
+            slug={slug}
+            roomMeta={roomMeta}
+            onChangePassword={onChangePassword}
+            onClose={() => setShowSettings(false)}
+        />
+      )}
+
       {/* Header */}
       <header className="h-14 border-b border-gray-200 flex items-center justify-between px-4 bg-white flex-shrink-0 z-10">
         <div className="flex items-center gap-3 overflow-hidden">
@@ -618,341 +4808,2071 @@ function Room({ slug, onExit, user }) {
             <button onClick={onExit} className="p-1 hover:bg-gray-100 rounded-full text-gray-500">
                 <X className="w-5 h-5" />
             </button>
-          )}
-          <div className="flex flex-col">
-            <h2 className="font-bold text-gray-800 flex items-center gap-2 text-lg leading-tight">
-              /{slug} 
-              <button onClick={copyLink} className="text-gray-400 hover:text-blue-600 transition-colors" title="Copiar nome">
-                {copied ? <Check className="w-4 h-4 text-green-500" /> : <Copy className="w-4 h-4" />}
-              </button>
-            </h2>
-            <span className="text-xs text-gray-400">{status}</span>
+          )}
+          <div className="flex flex-col">
+            <h2 className="font-bold text-gray-800 flex items-center gap-2 text-lg leading-tight">
+              /{slug} 
+              <button onClick={copyLink} className="text-gray-400 hover:text-blue-600 transition-colors" title="Copiar link">
+                {copied ? <Check className="w-4 h-4 text-green-500" /> : <Copy className="w-4 h-4" />}
+              </button>
+              {roomMeta.password && (
+                <span title="Sala protegida por senha"><Lock className="w-4 h-4 text-gray-400" /></span>
+              )}
+              {cipher.encrypted && (
+                <span title="Sala criptografada: a chave está no link"><KeyRound className="w-4 h-4 text-green-600" /></span>
+              )}
+              {!canEdit && (
+                <span className="flex items-center gap-1 text-xs font-medium text-gray-500 bg-gray-100 px-1.5 py-0.5 rounded" title={READ_ONLY_MESSAGE}>
+                    <Eye className="w-3.5 h-3.5" /> Somente leitura
+                </span>
+              )}
+              {roomMeta.expiresAt && (
+                <span
+                    className="flex items-center gap-1 text-xs font-medium text-red-600 bg-red-50 px-1.5 py-0.5 rounded"
+                    title={`A sala e todo o conteúdo serão apagados em ${safeFormatDateTime(roomMeta.expiresAt)}`}
+                >
+                    <Clock className="w-3.5 h-3.5" /> <ExpiryCountdown expiresAt={roomMeta.expiresAt} />
+                </span>
+              )}
+              {isOwner && (
+                <button onClick={() => setShowSettings(true)} className="text-gray-400 hover:text-blue-600 transition-colors" title="Configurações da sala">
+                  <Settings className="w-4 h-4" />
+                </button>
+              )}
+            </h2>
+            <span className={`text-xs ${isOffline ? 'text-orange-600 font-medium' : 'text-gray-400'}`}>
+              {syncStatus}
+              {codeCheck && (
+                <span className={`ml-2 font-medium ${codeCheck.valid ? 'text-green-600' : 'text-red-600'}`} title={codeCheck.detail}>
+                  {codeCheck.valid ? '✓' : '✗'} {codeCheck.message}
+                </span>
+              )}
+            </span>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-1 flex-shrink-0">
+          <PresenceBar
+            participants={participants}
+            nickname={nickname}
+            color={presenceColor(user.uid)}
+            onRename={changeNickname}
+          />
+          <button
+            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+            onClick={() => setShowActivity(true)}
+            title="Atividade da sala"
+          >
+            <Activity className="w-5 h-5" />
+          </button>
+          <button
+            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+            onClick={() => setShowSearch(true)}
+            title="Buscar na sala (Ctrl+K)"
+          >
+            <Search className="w-5 h-5" />
+          </button>
+          <button
+            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+            onClick={exportRoomZip}
+            title="Baixar sala (ZIP)"
+          >
+            <Download className="w-5 h-5" />
+          </button>
+          {canEdit && (
+            <button
+              className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg relative"
+              onClick={() => setShowTrash(true)}
+              title="Lixeira"
+            >
+              <Trash2 className="w-5 h-5" />
+              {trashCount > 0 && (
+                <span className="absolute -top-0.5 -right-0.5 min-w-[16px] h-4 px-1 text-[10px] leading-4 bg-gray-500 text-white rounded-full">{trashCount}</span>
+              )}
+            </button>
+          )}
+          <button 
+            className="md:hidden p-2 text-gray-600 hover:bg-gray-100 rounded-lg relative"
+            onClick={() => setShowSidebar(!showSidebar)}
+          >
+            <ImageIcon className="w-5 h-5" />
+            {images.length > 0 && (
+              <span className="absolute top-1 right-1 w-2 h-2 bg-blue-500 rounded-full"></span>
+            )}
+          </button>
+        </div>
+      </header>
+
+      <div className="flex flex-1 overflow-hidden relative">
+        {/* Editor OU Navegador de Arquivos (Esquerda) */}
+        <div className="flex-1 flex flex-col relative h-full">
+          {mainContent}
+        </div>
+
+        {/* Galeria Infinita (Direita) */}
+        <div
+          className={`
+          absolute md:relative z-20 top-0 right-0 h-full bg-gray-50 border-l border-gray-200 w-full md:w-80 lg:w-96 transform transition-transform duration-300 ease-in-out flex flex-col
+          ${showSidebar ? 'translate-x-0' : 'translate-x-full md:translate-x-0'}
+          ${galleryDragOver ? 'ring-4 ring-inset ring-blue-300' : ''}
+        `}
+          onDragOver={(e) => {
+            if (!canEdit || !hasDraggedFiles(e)) return;
+            e.preventDefault();
+            setGalleryDragOver(true);
+          }}
+          onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setGalleryDragOver(false);
+          }}
+          onDrop={(e) => {
+            if (!hasDraggedFiles(e)) return;
+            e.preventDefault();
+            setGalleryDragOver(false);
+            handleImageDrop(e.dataTransfer);
+          }}
+        >
+          <div className="p-4 border-b border-gray-200 flex items-center justify-between bg-white md:bg-gray-50">
+            <h3 className="font-semibold text-gray-700 flex items-center gap-2">
+              <ImageIcon className="w-4 h-4" /> Galeria ({images.length})
+            </h3>
+            <button onClick={() => setShowSidebar(false)} className="md:hidden p-1">
+              <X className="w-5 h-5 text-gray-500" />
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-y-auto p-4 space-y-4">
+            {images.length === 0 && (
+              <div className="text-center text-gray-400 py-10">
+                <Upload className="w-12 h-12 mx-auto mb-2 opacity-20" />
+                <p className="text-sm">Sem fotos.</p>
+              </div>
+            )}
+            
+            {images.map((img) => (
+              <div key={img.id} className="group relative bg-white p-2 rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow">
+                <div className="aspect-video w-full bg-gray-100 rounded overflow-hidden relative mb-2">
+                   {/* Fallback image to prevent FOUC */}
+                   <img 
+                      src={img.thumbnail || img.url} 
+                      alt={img.name || 'Upload'} 
+                      className="w-full h-full object-contain cursor-zoom-in" 
+                      onClick={() => setLightboxImageId(img.id)}
+                      onError={(e) => {
+                          e.target.onerror = null; 
+                          e.target.src = `https://placehold.co/800x450/cccccc/333333?text=Imagem+indisponível`;
+                      }}
+                   />
+                </div>
+                <div className="flex items-center justify-between text-xs text-gray-500 px-1">
+                  <span className="truncate max-w-[150px]" title={img.name}>
+                    {img.name || safeFormatTime(img.createdAt)}
+                  </span>
+                  <div className="flex gap-2">
+                     <button onClick={() => handleDownloadImage(img)} className="hover:text-blue-600 p-1" title="Baixar imagem completa">
+                       <Download className="w-4 h-4" />
+                     </button>
+                     {canEdit && (
+                       <button onClick={() => handleDeleteImageRequest(img)} className="hover:text-red-600 p-1">
+                         <Trash2 className="w-4 h-4" />
+                       </button>
+                     )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {canEdit && (
+          <div className="p-4 border-t border-gray-200 bg-white">
+            <UploadQueue tasks={imageTasks} onClear={clearFinishedUploads} />
+            <label className="flex flex-col items-center justify-center w-full h-24 border-2 border-dashed rounded-lg cursor-pointer transition-colors border-blue-300 bg-blue-50 hover:bg-blue-100 text-blue-600">
+              {imagesUploading ? (
+                <div className="flex flex-col items-center gap-2">
+                  <Loader2 className="w-6 h-6 animate-spin" />
+                  <span className="text-xs font-medium">Enviando... (adicione mais se quiser)</span>
+                </div>
+              ) : (
+                <>
+                  <Upload className="w-6 h-6 mb-1" />
+                  <span className="text-xs font-semibold">Adicionar Fotos</span>
+                  <span className="text-[10px] text-blue-400 mt-1">Selecione várias ou arraste para cá</span>
+                </>
+              )}
+              <input 
+                type="file" 
+                className="hidden" 
+                accept="image/*"
+                multiple
+                onChange={handleImageUpload}
+              />
+            </label>
           </div>
+          )}
+        </div>
+
+        {showSidebar && (
+          <div 
+            className="absolute inset-0 bg-black/20 z-10 md:hidden"
+            onClick={() => setShowSidebar(false)}
+          ></div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// --- Componente do Navegador de Arquivos ---
+function FileBrowser({ content, currentFolderId, currentFolderName, folderPath, folderTree, onNavigate, onOpenFile, onCreateItem, onGoBack, onRename, onDelete, onFileUpload, onDownloadFile, onFileDrop, onZipImport, onPreviewFile, viewersByItem = {}, commentsByItem = {}, uploadTasks, onClearUploads, parentFolderId, canMove, onMove, onMoveRequest, onExpiryRequest, readOnly = false }) {
+    
+    // Icone de três pontos para menu de contexto
+    const ThreeDots = () => (
+        <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M6.75 12a.75.75 0 1 1-1.5 0 .75.75 0 0 1 1.5 0ZM12.75 12a.75.75 0 1 1-1.5 0 .75.75 0 0 1 1.5 0ZM18.75 12a.75.75 0 1 1-1.5 0 .75.75 0 0 1 1.5 0Z" />
+        </svg>
+    );
+    
+    // Icones para Pasta, Documento e Arquivo
+    const FolderIcon = (props) => (
+        <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5 text-yellow-500" viewBox="0 0 24 24" fill="currentColor" {...props}>
+            <path d="M10 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z"/>
+        </svg>
+    );
+
+    const DocumentIcon = (props) => (
+        <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5 text-blue-600" viewBox="0 0 24 24" fill="currentColor" {...props}>
+            <path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.89 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zM6 20V4h7v4h4v12H6z"/>
+        </svg>
+    );
+    
+    const FileIcon = (props) => (
+        <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5 text-gray-500" viewBox="0 0 24 24" fill="currentColor" {...props}>
+            <path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.89 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zM6 20V4h7v5h5v11H6z"/>
+        </svg>
+    );
+    
+    const [contextMenu, setContextMenu] = useState({ visible: false, x: 0, y: 0, itemId: null, itemType: null, itemName: '', item: null });
+
+    const handleContextMenu = (e, item) => {
+        // Leitores só têm o "Baixar" dos arquivos
+        if (readOnly && item.type !== 'file') return;
+        e.preventDefault();
+        setContextMenu({
+            visible: true,
+            x: e.clientX,
+            y: e.clientY,
+            itemId: item.id,
+            itemType: item.type,
+            itemName: item.name,
+            item: item,
+        });
+    };
+
+    const closeContextMenu = () => {
+        setContextMenu({ visible: false, x: 0, y: 0, itemId: null, itemType: null, itemName: '', item: null });
+    };
+
+    // Fechar menu de contexto ao clicar fora
+    useEffect(() => {
+        const handleClickOutside = () => closeContextMenu();
+        if (contextMenu.visible) {
+            document.addEventListener('click', handleClickOutside);
+        }
+        return () => document.removeEventListener('click', handleClickOutside);
+    }, [contextMenu.visible]);
+    
+    const handleRenameClick = () => {
+        onRename(contextMenu.item);
+        closeContextMenu();
+    };
+
+    const handleDeleteClick = () => {
+        onDelete(contextMenu.itemId, contextMenu.itemName);
+        closeContextMenu();
+    };
+
+    const handleMoveClick = () => {
+        onMoveRequest(contextMenu.item);
+        closeContextMenu();
+    };
+
+    const handleExpiryClick = () => {
+        onExpiryRequest(contextMenu.item);
+        closeContextMenu();
+    };
+    
+    const [dragOver, setDragOver] = useState(false);
+    const [showTree, setShowTree] = useState(false);
+    const [draggingId, setDraggingId] = useState(null); // item da sala sendo arrastado
+    const [dropTargetId, setDropTargetId] = useState(undefined); // pasta sob o cursor (null = Raiz)
+
+    // Props de alvo de soltura para mover o item arrastado para `folderId`
+    const itemDropProps = (folderId) => readOnly ? {} : ({
+        onDragOver: (e) => {
+            if (!hasDraggedItem(e) || !canMove(draggingId, folderId)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            e.dataTransfer.dropEffect = 'move';
+            setDropTargetId(folderId);
+        },
+        onDragLeave: (e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setDropTargetId(undefined);
+        },
+        onDrop: (e) => {
+            if (!hasDraggedItem(e)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            setDropTargetId(undefined);
+            onMove(e.dataTransfer.getData(ITEM_DRAG_TYPE), folderId);
+        },
+    });
+
+    const activeUploads = uploadTasks.filter(task => task.status === 'pending' || task.status === 'uploading').length;
+
+    // Arquivos com prévia abrem no painel; os demais (e envios incompletos) seguem para o download
+    const handleFileClick = (item) => {
+        if (item.uploadComplete !== false && filePreviewKind(item)) onPreviewFile(item);
+        else onDownloadFile(item);
+    };
+
+    const handleDownloadClick = () => {
+        onDownloadFile(contextMenu.item);
+        closeContextMenu();
+    };
+
+    return (
+        <div className="h-full flex flex-col p-6 bg-gray-50">
+            {/* Header de Navegação */}
+            <div className="flex items-center space-x-2 mb-4 p-3 bg-white border border-gray-200 rounded-xl shadow-md">
+                <button 
+                    onClick={onGoBack} 
+                    disabled={!currentFolderId} // Corrigido para desabilitar apenas na Raiz
+                    className={`p-1 rounded-full hover:bg-gray-100 transition disabled:opacity-50 ${currentFolderId && dropTargetId === parentFolderId ? 'bg-blue-100 ring-2 ring-blue-300' : ''}`}
+                    title="Voltar (solte um item aqui para movê-lo para a pasta acima)"
+                    {...(currentFolderId ? itemDropProps(parentFolderId) : {})}
+                >
+                    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5">
+                        <path strokeLinecap="round" strokeLinejoin="round" d="M9 15 3 9m0 0 6-6M3 9h12a6 6 0 0 1 0 12h-3" />
+                    </svg>
+                </button>
+                {/* Trilha de navegação: cada nível é clicável e aceita itens arrastados */}
+                <nav className="flex items-center min-w-0 flex-1 overflow-x-auto whitespace-nowrap text-sm">
+                    <button
+                        onClick={() => onNavigate(null)}
+                        className={`px-1.5 py-0.5 rounded-md hover:bg-gray-100 ${!currentFolderId ? 'font-bold text-gray-800' : 'text-blue-600'} ${currentFolderId && dropTargetId === null ? 'bg-blue-100 ring-2 ring-blue-300' : ''}`}
+                        {...(currentFolderId ? itemDropProps(null) : {})}
+                    >
+                        Raiz
+                    </button>
+                    {folderPath.map((folder, index) => {
+                        const isCurrent = index === folderPath.length - 1;
+                        return (
+                            <span key={folder.id} className="flex items-center">
+                                <ChevronRight className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                                <button
+                                    onClick={() => !isCurrent && onNavigate(folder.id)}
+                                    className={`px-1.5 py-0.5 rounded-md max-w-[12rem] truncate ${isCurrent ? 'font-bold text-gray-800 cursor-default' : 'text-blue-600 hover:bg-gray-100'} ${dropTargetId === folder.id ? 'bg-blue-100 ring-2 ring-blue-300' : ''}`}
+                                    {...(isCurrent ? {} : itemDropProps(folder.id))}
+                                >
+                                    {folder.name}
+                                </button>
+                            </span>
+                        );
+                    })}
+                    {currentFolderId && folderPath.length === 0 && (
+                        <span className="flex items-center">
+                            <ChevronRight className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                            <span className="px-1.5 font-bold text-gray-800">{currentFolderName}</span>
+                        </span>
+                    )}
+                </nav>
+                <button
+                    onClick={() => setShowTree(!showTree)}
+                    className={`p-1.5 rounded-lg transition flex-shrink-0 ${showTree ? 'bg-blue-100 text-blue-700' : 'text-gray-500 hover:bg-gray-100'}`}
+                    title={showTree ? 'Ocultar árvore de pastas' : 'Mostrar árvore de pastas'}
+                >
+                    <FolderTreeIcon className="w-5 h-5" />
+                </button>
+            </div>
+
+            {/* Árvore de pastas da sala, para saltar direto para qualquer nível */}
+            {showTree && (
+                <div className="mb-4 p-2 bg-white border border-gray-200 rounded-xl shadow-sm max-h-64 overflow-y-auto flex-shrink-0">
+                    <div
+                        className={`flex items-center gap-2 py-1 px-2 rounded-lg text-sm cursor-pointer ${!currentFolderId ? 'bg-blue-100 text-blue-800 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
+                        onClick={() => onNavigate(null)}
+                    >
+                        <FolderIconLucide className="w-4 h-4 text-yellow-500" /> Raiz
+                    </div>
+                    {folderTree.length === 0 ? (
+                        <p className="text-xs text-gray-400 px-2 py-1">Nenhuma pasta nesta sala.</p>
+                    ) : (
+                        <FolderTree
+                            nodes={folderTree}
+                            selectedId={currentFolderId}
+                            onSelect={onNavigate}
+                            depth={1}
+                        />
+                    )}
+                </div>
+            )}
+
+            {/* Ações */}
+            {!readOnly && (
+            <div className="flex space-x-3 mb-6 flex-shrink-0 flex-wrap gap-y-3">
+                <button
+                    onClick={() => onCreateItem('document')}
+                    className="flex items-center gap-1.5 px-4 py-2 text-sm bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition shadow-lg shadow-blue-500/30"
+                >
+                    <DocumentIcon className="w-4 h-4 text-white" />
+                    Novo Doc
+                </button>
+                <button
+                    onClick={() => onCreateItem('folder')}
+                    className="flex items-center gap-1.5 px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-xl hover:bg-gray-300 transition shadow-lg shadow-gray-300/30"
+                >
+                    <FolderIcon className="w-4 h-4 text-yellow-600" />
+                    Nova Pasta
+                </button>
+                
+                {/* NOVO: Botão de Upload de Arquivo */}
+                <label className="flex items-center gap-1.5 px-4 py-2 text-sm rounded-xl transition cursor-pointer bg-green-600 text-white hover:bg-green-700 shadow-lg shadow-green-500/30">
+                    {activeUploads > 0 ? (
+                        <>
+                            <Loader2 className="w-4 h-4 animate-spin" />
+                            Enviando ({activeUploads})...
+                        </>
+                    ) : (
+                        <>
+                            <Upload className="w-4 h-4" />
+                            Carregar Arquivos
+                        </>
+                    )}
+                    <input 
+                        type="file" 
+                        className="hidden" 
+                        multiple
+                        onChange={onFileUpload} 
+                    />
+                </label>
+                <label className="flex items-center gap-1.5 px-4 py-2 text-sm rounded-xl transition cursor-pointer bg-gray-200 text-gray-700 hover:bg-gray-300 shadow-lg shadow-gray-300/30">
+                    <FolderIcon className="w-4 h-4 text-yellow-600" />
+                    Carregar Pasta
+                    <input 
+                        type="file" 
+                        className="hidden" 
+                        webkitdirectory=""
+                        onChange={onFileUpload} 
+                    />
+                </label>
+                <label className="flex items-center gap-1.5 px-4 py-2 text-sm rounded-xl transition cursor-pointer bg-gray-200 text-gray-700 hover:bg-gray-300 shadow-lg shadow-gray-300/30">
+                    <Archive className="w-4 h-4 text-gray-600" />
+                    Importar ZIP
+                    <input 
+                        type="file" 
+                        className="hidden" 
+                        accept=".zip,application/zip"
+                        onChange={onZipImport} 
+                    />
+                </label>
+            </div>
+            )}
+
+            <UploadQueue tasks={uploadTasks} onClear={onClearUploads} />
+
+            {/* Lista de Conteúdo (aceita arquivos e pastas arrastados) */}
+            <div
+                className={`flex-1 overflow-y-auto space-y-2 pr-1 rounded-xl transition ${dragOver ? 'ring-4 ring-inset ring-green-300 bg-green-50/50' : ''}`}
+                onDragOver={(e) => {
+                    if (readOnly || !hasDraggedFiles(e)) return;
+                    e.preventDefault();
+                    setDragOver(true);
+                }}
+                onDragLeave={(e) => {
+                    if (!e.currentTarget.contains(e.relatedTarget)) setDragOver(false);
+                }}
+                onDrop={(e) => {
+                    if (!hasDraggedFiles(e)) return;
+                    e.preventDefault();
+                    setDragOver(false);
+                    onFileDrop(e.dataTransfer);
+                }}
+            >
+                {content.length === 0 ? (
+                    <div className="text-center text-gray-400 py-10 border-2 border-dashed border-gray-200 rounded-xl bg-white/50 m-4">
+                        <FolderIcon className="w-12 h-12 mx-auto mb-2 opacity-20" />
+                        <p className="text-sm">
+                            {readOnly
+                                ? 'Esta pasta está vazia.'
+                                : 'Esta pasta está vazia. Crie um novo documento, pasta, carregue ou arraste arquivos para cá.'}
+                        </p>
+                    </div>
+                ) : (
+                    content.map((item) => {
+                        const Icon = item.type === 'folder' 
+                            ? FolderIcon 
+                            : (item.type === 'document' ? DocumentIcon : FileIcon);
+                            
+                        const handleItemClick = item.type === 'folder' 
+                            ? () => onNavigate(item.id) 
+                            : (item.type === 'document' 
+                                ? () => onOpenFile(item.id) 
+                                : () => handleFileClick(item));
+
+                        const isDropTarget = item.type === 'folder' && dropTargetId === item.id;
+
+                        return (
+                            <div
+                                key={item.id}
+                                className={`flex items-center justify-between p-3 bg-white rounded-xl shadow-sm hover:bg-blue-50 hover:shadow-md transition cursor-pointer group ${isDropTarget ? 'ring-2 ring-blue-400 bg-blue-50' : ''} ${draggingId === item.id ? 'opacity-50' : ''}`}
+                                onClick={handleItemClick}
+                                onContextMenu={(e) => handleContextMenu(e, item)}
+                                draggable={!readOnly}
+                                onDragStart={(e) => {
+                                    e.dataTransfer.setData(ITEM_DRAG_TYPE, item.id);
+                                    e.dataTransfer.effectAllowed = 'move';
+                                    setDraggingId(item.id);
+                                }}
+                                onDragEnd={() => {
+                                    setDraggingId(null);
+                                    setDropTargetId(undefined);
+                                }}
+                                {...(item.type === 'folder' ? itemDropProps(item.id) : {})}
+                            >
+                                <div className="flex items-center space-x-3 truncate">
+                                    <Icon />
+                                    <span className="truncate text-base text-gray-800 font-medium">{item.name}</span>
+                                    {/* Quem está com o documento aberto agora */}
+                                    {viewersByItem[item.id] && (
+                                        <span className="flex -space-x-1 flex-shrink-0" title={`Aberto por: ${viewersByItem[item.id].map(v => v.name).join(', ')}`}>
+                                            {viewersByItem[item.id].slice(0, 3).map(viewer => (
+                                                <span key={viewer.id} className="w-2.5 h-2.5 rounded-full ring-2 ring-white" style={{ backgroundColor: viewer.color }} />
+                                            ))}
+                                        </span>
+                                    )}
+                                    {commentsByItem[item.id] > 0 && (
+                                        <span
+                                            className="flex items-center gap-0.5 text-xs font-medium text-yellow-700 bg-yellow-50 px-1.5 rounded-full flex-shrink-0"
+                                            title={`${commentsByItem[item.id]} ${commentsByItem[item.id] === 1 ? 'comentário aberto' : 'comentários abertos'}`}
+                                        >
+                                            <MessageSquare className="w-3 h-3" /> {commentsByItem[item.id]}
+                                        </span>
+                                    )}
+                                    {item.burnAfterReading && (
+                                        <span title={item.readBy ? 'Leitura única: já foi aberto e será apagado' : 'Leitura única: apagado depois da primeira leitura'} className="flex-shrink-0">
+                                            <Flame className={`w-4 h-4 ${item.readBy ? 'text-gray-400' : 'text-orange-500'}`} />
+                                        </span>
+                                    )}
+                                    {item.expiresAt && (
+                                        <span className="flex items-center gap-0.5 text-xs text-red-500 flex-shrink-0" title={`Será apagado em ${safeFormatDateTime(item.expiresAt)}`}>
+                                            <Clock className="w-3 h-3" /> <ExpiryCountdown expiresAt={item.expiresAt} />
+                                        </span>
+                                    )}
+                                </div>
+                                {item.uploadComplete === false ? (
+                                    <span className="ml-auto mr-2 text-xs text-orange-500 whitespace-nowrap">envio incompleto</span>
+                                ) : item.type !== 'folder' && (
+                                    <span className="ml-auto mr-2 text-xs text-gray-400 whitespace-nowrap hidden sm:inline">
+                                        {formatBytes(item.size)} · {safeFormatDateTime(item.updatedAt || item.createdAt)}
+                                    </span>
+                                )}
+                                {(!readOnly || item.type === 'file') && (
+                                    <button
+                                        onClick={(e) => { e.stopPropagation(); handleContextMenu(e, item); }}
+                                        className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-700 opacity-0 group-hover:opacity-100 transition"
+                                        title="Opções"
+                                    >
+                                        <ThreeDots />
+                                    </button>
+                                )}
+                            </div>
+                        );
+                    })
+                )}
+            </div>
+            
+            {/* Menu de Contexto Flutuante */}
+            {contextMenu.visible && (
+                <div
+                    className="fixed z-50 bg-white border border-gray-200 rounded-lg shadow-xl py-1 text-sm text-gray-700 w-32"
+                    style={{ top: contextMenu.y, left: contextMenu.x }}
+                    onClick={(e) => e.stopPropagation()}
+                >
+                    {!readOnly && (
+                        <>
+                            <button 
+                                onClick={handleRenameClick} 
+                                className="flex items-center w-full px-4 py-2 hover:bg-gray-100"
+                            >
+                                Renomear
+                            </button>
+                            <button 
+                                onClick={handleMoveClick} 
+                                className="flex items-center w-full px-4 py-2 hover:bg-gray-100"
+                            >
+                                Mover para…
+                            </button>
+                        </>
+                    )}
+                    {!readOnly && contextMenu.item && contextMenu.item.type !== 'folder' && (
+                        <button 
+                            onClick={handleExpiryClick} 
+                            className="flex items-center w-full px-4 py-2 hover:bg-gray-100"
+                        >
+                            Expiração…
+                        </button>
+                    )}
+                    {contextMenu.item?.type === 'file' && (
+                        <button 
+                            onClick={handleDownloadClick} 
+                            className="flex items-center w-full px-4 py-2 hover:bg-gray-100"
+                        >
+                            Baixar
+                        </button>
+                    )}
+                    {!readOnly && (
+                        <button 
+                            onClick={handleDeleteClick} 
+                            className="flex items-center w-full px-4 py-2 hover:bg-red-50 text-red-600"
+                        >
+                            Deletar
+                        </button>
+                    )}
+                </div>
+            )}
         </div>
+    );
+}
 
-        <button 
-          className="md:hidden p-2 text-gray-600 hover:bg-gray-100 rounded-lg relative"
-          onClick={() => setShowSidebar(!showSidebar)}
-        >
-          <ImageIcon className="w-5 h-5" />
-          {images.length > 0 && (
-            <span className="absolute top-1 right-1 w-2 h-2 bg-blue-500 rounded-full"></span>
-          )}
-        </button>
-      </header>
+// --- Painel de Comentários ---
+// Conversas do documento aberto, na ordem em que aparecem no texto
+function CommentsPanel({ threads, draft, sending, activeThreadId, currentUid, canComment, canSelectText, canDelete, onStartDraft, onCancelDraft, onSubmitDraft, onSelectThread, onReply, onToggleResolved, onDelete, onClose }) {
+    const [showResolved, setShowResolved] = useState(false);
+    const [draftText, setDraftText] = useState('');
+    const [replyText, setReplyText] = useState('');
+    const activeThreadRef = useRef(activeThreadId);
+    activeThreadRef.current = activeThreadId;
 
-      <div className="flex flex-1 overflow-hidden relative">
-        {/* Editor OU Navegador de Arquivos (Esquerda) */}
-        <div className="flex-1 flex flex-col relative h-full">
-          {mainContent}
+    useEffect(() => { setReplyText(''); }, [activeThreadId]);
+    // Um rascunho devolvido depois de uma falha traz o texto que tinha sido enviado
+    useEffect(() => { setDraftText(draft?.body || ''); }, [draft]);
+
+    const openCount = threads.filter(thread => !thread.resolved).length;
+    const visible = threads.filter(thread => !!thread.resolved === showResolved);
+
+    // Ctrl+Enter envia
+    const submitOnShortcut = (e, submit) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            submit();
+        }
+    };
+
+    // O campo esvazia na hora (a escrita fica na fila mesmo offline) e o texto volta se ela falhar
+    const sendReply = async (thread) => {
+        if (!replyText.trim()) return;
+        const text = replyText;
+        setReplyText('');
+        if (!(await onReply(thread, text)) && activeThreadRef.current === thread.id) {
+            setReplyText(current => current || text);
+        }
+    };
+
+    const quoteBlock = (quote, detached) => (
+        <div className={`text-xs border-l-2 pl-2 mb-2 line-clamp-2 whitespace-pre-wrap break-words ${detached ? 'border-gray-300 text-gray-400 line-through' : 'border-yellow-400 text-gray-500'}`}>
+            {quote}
         </div>
+    );
 
-        {/* Galeria Infinita (Direita) */}
-        <div className={`
-          absolute md:relative z-20 top-0 right-0 h-full bg-gray-50 border-l border-gray-200 w-full md:w-80 lg:w-96 transform transition-transform duration-300 ease-in-out flex flex-col
-          ${showSidebar ? 'translate-x-0' : 'translate-x-full md:translate-x-0'}
-        `}>
-          <div className="p-4 border-b border-gray-200 flex items-center justify-between bg-white md:bg-gray-50">
-            <h3 className="font-semibold text-gray-700 flex items-center gap-2">
-              <ImageIcon className="w-4 h-4" /> Galeria ({images.length})
-            </h3>
-            <button onClick={() => setShowSidebar(false)} className="md:hidden p-1">
-              <X className="w-5 h-5 text-gray-500" />
-            </button>
-          </div>
+    const message = (entry) => (
+        <div key={entry.id} className="text-sm">
+            <div className="flex items-center gap-1.5 text-xs text-gray-500">
+                <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: presenceColor(entry.authorUid) }} />
+                <span className="font-medium text-gray-700 truncate">{entry.authorUid === currentUid ? 'Você' : entry.authorName}</span>
+                <span className="flex-shrink-0">· {safeFormatDateTime(entry.createdAt)}</span>
+            </div>
+            <p className="text-gray-800 whitespace-pre-wrap break-words mt-0.5">{entry.text}</p>
+        </div>
+    );
 
-          <div className="flex-1 overflow-y-auto p-4 space-y-4">
-            {images.length === 0 && (
-              <div className="text-center text-gray-400 py-10">
-                <Upload className="w-12 h-12 mx-auto mb-2 opacity-20" />
-                <p className="text-sm">Sem fotos.</p>
-              </div>
-            )}
-            
-            {images.map((img) => (
-              <div key={img.id} className="group relative bg-white p-2 rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow">
-                <div className="aspect-video w-full bg-gray-100 rounded overflow-hidden relative mb-2">
-                   {/* Fallback image to prevent FOUC */}
-                   <img 
-                      src={img.url} 
-                      alt="Upload" 
-                      className="w-full h-full object-contain" 
-                      onError={(e) => {
-                          e.target.onerror = null; 
-                          e.target.src = `https://placehold.co/800x450/cccccc/333333?text=Imagem+indisponível`;
-                      }}
-                   />
-                </div>
-                <div className="flex items-center justify-between text-xs text-gray-500 px-1">
-                  <span className="truncate max-w-[150px]">
-                    {safeFormatTime(img.createdAt)}
-                  </span>
-                  <div className="flex gap-2">
-                     <a href={img.url} download={`sharepad-${img.id}.jpg`} className="hover:text-blue-600 p-1">
-                       <Download className="w-4 h-4" />
-                     </a>
-                     <button onClick={() => handleDeleteImageRequest(img)} className="hover:text-red-600 p-1">
-                       <Trash2 className="w-4 h-4" />
-                     </button>
-                  </div>
-                </div>
-              </div>
-            ))}
-          </div>
+    return (
+        <div className="w-full md:w-80 flex-shrink-0 border-l border-gray-200 bg-gray-50 flex flex-col absolute md:relative inset-0 md:inset-auto z-10">
+            <div className="p-3 border-b border-gray-200 bg-white flex items-center justify-between">
+                <h4 className="font-semibold text-gray-700 flex items-center gap-2">
+                    <MessageSquare className="w-4 h-4" /> Comentários ({openCount})
+                </h4>
+                <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded-full text-gray-500">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
 
-          <div className="p-4 border-t border-gray-200 bg-white">
-            <label className={`
-              flex flex-col items-center justify-center w-full h-24 border-2 border-dashed rounded-lg cursor-pointer transition-colors
-              ${uploading ? 'bg-gray-100 border-gray-300 cursor-not-allowed' : 'border-blue-300 bg-blue-50 hover:bg-blue-100 text-blue-600'}
-            `}>
-              {uploading ? (
-                <div className="flex flex-col items-center gap-2 text-gray-500">
-                  <Loader2 className="w-6 h-6 animate-spin" />
-                  <span className="text-xs font-medium">Enviando...</span>
+            <div className="p-3 border-b border-gray-200 bg-white flex items-center justify-between gap-2 flex-shrink-0">
+                <div className="flex items-center bg-gray-100 rounded-lg p-0.5 text-xs font-medium">
+                    {[{ resolved: false, label: 'Abertos' }, { resolved: true, label: 'Resolvidos' }].map(option => (
+                        <button
+                            key={option.label}
+                            onClick={() => setShowResolved(option.resolved)}
+                            className={`px-2.5 py-1 rounded-md transition ${showResolved === option.resolved ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
                 </div>
-              ) : (
+                {canComment && (
+                    <button
+                        // mousedown sem foco: o trecho continua selecionado no editor
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={onStartDraft}
+                        disabled={!canSelectText}
+                        title={canSelectText ? 'Comentar o trecho selecionado' : 'Volte para o editor para selecionar um trecho'}
+                        className="px-3 py-1 text-xs font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                    >
+                        Comentar seleção
+                    </button>
+                )}
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-3 space-y-3">
+                {draft && (
+                    <div className="bg-white rounded-lg border border-blue-300 p-3 shadow-sm">
+                        {quoteBlock(draft.quote, false)}
+                        <textarea
+                            autoFocus
+                            value={draftText}
+                            onChange={(e) => setDraftText(e.target.value)}
+                            onKeyDown={(e) => submitOnShortcut(e, () => onSubmitDraft(draftText))}
+                            placeholder="Escreva um comentário..."
+                            rows={3}
+                            className="w-full text-sm border border-gray-300 rounded-lg p-2 outline-none focus:ring-blue-500 focus:border-blue-500 resize-none"
+                        />
+                        <div className="flex justify-end gap-2 mt-2">
+                            <button onClick={onCancelDraft} className="px-3 py-1 text-xs text-gray-600 hover:bg-gray-100 rounded-lg">Cancelar</button>
+                            <button
+                                onClick={() => onSubmitDraft(draftText)}
+                                disabled={!draftText.trim() || sending}
+                                className="px-3 py-1 text-xs font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                            >
+                                {sending ? 'Enviando...' : 'Comentar'}
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {visible.length === 0 && !draft && (
+                    <p className="text-sm text-gray-400 text-center py-6 px-4">
+                        {showResolved
+                            ? 'Nenhum comentário resolvido.'
+                            : (canComment ? 'Selecione um trecho no editor e clique em "Comentar seleção".' : 'Nenhum comentário aberto.')}
+                    </p>
+                )}
+
+                {visible.map(thread => {
+                    const active = thread.id === activeThreadId;
+                    const [first, ...replies] = thread.messages;
+                    return (
+                        <div
+                            key={thread.id}
+                            onClick={() => !active && onSelectThread(thread)}
+                            className={`bg-white rounded-lg border p-3 transition ${active ? 'border-yellow-400 shadow-sm' : 'border-gray-200 hover:border-gray-300 cursor-pointer'}`}
+                        >
+                            {quoteBlock(thread.quote, thread.detached)}
+                            {thread.detached && <p className="text-xs text-gray-400 -mt-1 mb-2">O trecho comentado foi apagado.</p>}
+                            <div className="space-y-2">
+                                {first && message(first)}
+                                {active ? replies.map(message) : replies.length > 0 && (
+                                    <p className="text-xs text-blue-600">{replies.length} {replies.length === 1 ? 'resposta' : 'respostas'}</p>
+                                )}
+                            </div>
+                            {active && (
+                                <div className="mt-3">
+                                    {canComment && !thread.resolved && (
+                                        <div className="flex items-end gap-2">
+                                            <textarea
+                                                value={replyText}
+                                                onChange={(e) => setReplyText(e.target.value)}
+                                                onKeyDown={(e) => submitOnShortcut(e, () => sendReply(thread))}
+                                                placeholder="Responder..."
+                                                rows={2}
+                                                className="flex-1 min-w-0 text-sm border border-gray-300 rounded-lg p-2 outline-none focus:ring-blue-500 focus:border-blue-500 resize-none"
+                                            />
+                                            <button
+                                                onClick={() => sendReply(thread)}
+                                                disabled={!replyText.trim()}
+                                                className="px-3 py-1.5 text-xs font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                                            >
+                                                Enviar
+                                            </button>
+                                        </div>
+                                    )}
+                                    <div className="flex items-center justify-end gap-1 mt-2">
+                                        {canComment && (
+                                            <button
+                                                onClick={() => onToggleResolved(thread)}
+                                                className="flex items-center gap-1 px-2 py-1 text-xs text-gray-600 hover:bg-gray-100 rounded-lg"
+                                            >
+                                                {thread.resolved
+                                                    ? <><RotateCcw className="w-3.5 h-3.5" /> Reabrir</>
+                                                    : <><Check className="w-3.5 h-3.5" /> Resolver</>}
+                                            </button>
+                                        )}
+                                        {canDelete(thread) && (
+                                            <button
+                                                onClick={() => onDelete(thread)}
+                                                className="flex items-center gap-1 px-2 py-1 text-xs text-red-600 hover:bg-red-50 rounded-lg"
+                                            >
+                                                <Trash2 className="w-3.5 h-3.5" /> Excluir
+                                            </button>
+                                        )}
+                                    </div>
+                                    {thread.resolved && thread.resolvedAt && (
+                                        <p className="text-xs text-gray-400 text-right mt-1">Resolvido em {safeFormatDateTime(thread.resolvedAt)}</p>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+// --- Painel de Histórico de Versões ---
+function VersionHistoryPanel({ versions, currentText, currentUid, onRestore, onClose }) {
+    const [selectedId, setSelectedId] = useState(null);
+    const selected = versions.find(v => v.id === selectedId);
+    // O diff acompanha o texto sem travar a digitação e só é refeito quando algo muda
+    const diffText = useDeferredValue(currentText);
+    const selectedContent = selected ? selected.content || '' : null;
+    const diff = useMemo(
+        () => (selectedContent === null ? [] : diffLines(selectedContent, diffText)),
+        [selectedContent, diffText]
+    );
+
+    const lineClass = {
+        same: 'text-gray-600',
+        added: 'bg-green-50 text-green-800',
+        removed: 'bg-red-50 text-red-800 line-through decoration-red-300',
+    };
+    const linePrefix = { same: ' ', added: '+', removed: '-' };
+
+    return (
+        <div className="w-full md:w-96 flex-shrink-0 border-l border-gray-200 bg-gray-50 flex flex-col absolute md:relative inset-0 md:inset-auto z-10">
+            <div className="p-3 border-b border-gray-200 bg-white flex items-center justify-between">
+                <h4 className="font-semibold text-gray-700 flex items-center gap-2">
+                    <History className="w-4 h-4" /> Versões ({versions.length})
+                </h4>
+                <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded-full text-gray-500">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            <div className="max-h-56 overflow-y-auto border-b border-gray-200 flex-shrink-0">
+                {versions.length === 0 && (
+                    <p className="text-sm text-gray-400 text-center py-6">Nenhuma versão salva ainda.</p>
+                )}
+                {versions.map((version) => (
+                    <button
+                        key={version.id}
+                        onClick={() => setSelectedId(version.id === selectedId ? null : version.id)}
+                        className={`w-full text-left px-3 py-2 text-sm border-b border-gray-100 transition ${version.id === selectedId ? 'bg-blue-50' : 'hover:bg-white'}`}
+                    >
+                        <div className="font-medium text-gray-800">{safeFormatDateTime(version.createdAt)}</div>
+                        <div className="text-xs text-gray-400 font-mono truncate">
+                            {version.author === currentUid ? 'você' : version.author}
+                        </div>
+                    </button>
+                ))}
+            </div>
+
+            {selected ? (
                 <>
-                  <Upload className="w-6 h-6 mb-1" />
-                  <span className="text-xs font-semibold">Adicionar Foto</span>
-                  <span className="text-[10px] text-blue-400 mt-1">Ilimitado (1MB máx cada)</span>
+                    <div className="p-3 flex items-center justify-between bg-white border-b border-gray-200 flex-shrink-0">
+                        <span className="text-xs text-gray-500">Diferenças para o texto atual</span>
+                        {onRestore && (
+                            <button
+                                onClick={() => onRestore(selected)}
+                                className="flex items-center gap-1 px-3 py-1 text-xs font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+                            >
+                                <RotateCcw className="w-3 h-3" /> Restaurar
+                            </button>
+                        )}
+                    </div>
+                    <pre className="flex-1 overflow-auto text-xs font-mono leading-relaxed bg-white">
+                        {diff.map((line, index) => (
+                            <div key={index} className={`px-3 whitespace-pre-wrap ${lineClass[line.type]}`}>
+                                <span className="select-none opacity-50 mr-2">{linePrefix[line.type]}</span>
+                                {line.text || ' '}
+                            </div>
+                        ))}
+                    </pre>
                 </>
-              )}
-              <input 
-                type="file" 
-                className="hidden" 
-                accept="image/*"
-                onChange={handleImageUpload}
-                disabled={uploading}
-              />
-            </label>
-          </div>
+            ) : (
+                versions.length > 0 && (
+                    <p className="text-sm text-gray-400 text-center py-6 px-4">Selecione uma versão para comparar com o texto atual.</p>
+                )
+            )}
         </div>
+    );
+}
 
-        {showSidebar && (
-          <div 
-            className="absolute inset-0 bg-black/20 z-10 md:hidden"
-            onClick={() => setShowSidebar(false)}
-          ></div>
-        )}
-      </div>
-    </div>
-  );
+// --- Pré-visualização de Markdown ---
+// Marcações inline, lidas da esquerda para a direita (na ordem: escape, código, imagem, link,
+// autolink, negrito, itálico, tachado, URL solta, quebra de linha). Os fechamentos são procurados
+// com indexOf a partir de um cursor que só avança, e a posição achada vale para as próximas
+// aberturas: texto com muitos * ou ` sem par custa uma passada, e não uma por abertura.
+const MD_ESCAPABLE = '\\`*_{}[]()#+-.!~>|';
+const MD_LINK_TARGET = /\((?<target>(?:[^()\s]|\([^()\s]*\))+)(?:\s+"[^"]*")?\)/y;
+const MD_AUTOLINK = /<(?<autolink>(?:https?:\/\/|mailto:)[^<>\s]+)>/y;
+const MD_URL = /https?:\/\/[^\s<]*[^\s<.,:;"')\]!?]/y;
+
+const tokenizeMarkdownInline = (text) => {
+    const tokens = [];
+    const closers = new Map(); // chave -> { from, index } da última busca
+    const findCloser = (key, delimiter, from, valid = () => true) => {
+        const hit = closers.get(key);
+        if (hit && hit.from <= from && (hit.index === -1 || hit.index >= from)) return hit.index;
+        let index = text.indexOf(delimiter, from);
+        while (index !== -1 && !valid(index)) index = text.indexOf(delimiter, index + 1);
+        closers.set(key, { from, index });
+        return index;
+    };
+    const nonSpace = (index) => index < text.length && !/\s/.test(text[index]);
+    const alphanumeric = (index) => index >= 0 && index < text.length && /[\p{L}\p{N}]/u.test(text[index]);
+    const sticky = (regex, at) => {
+        regex.lastIndex = at;
+        return regex.exec(text);
+    };
+    // **negrito**, *itálico*, ~~tachado~~: o conteúdo começa e termina colado nas marcas.
+    // Com _ (como no CommonMark) a marca não vale dentro de palavras, para nomes_com_sublinhado;
+    // um * ou _ sozinho não fecha no meio de um ** (em "*a **b** c*" o itálico vai até o fim)
+    const delimited = (mark, at) => {
+        if (!text.startsWith(mark, at) || !nonSpace(at + mark.length)) return null;
+        const intraword = mark[0] !== '_';
+        if (!intraword && alphanumeric(at - 1)) return null;
+        const single = mark.length === 1 && mark !== '~';
+        const close = findCloser(mark, mark, at + mark.length + 1, index => nonSpace(index - 1)
+            && (intraword || !alphanumeric(index + mark.length))
+            && (!single || (text[index - 1] !== mark && text[index + 1] !== mark)));
+        return close === -1 ? null : { length: close + mark.length - at, inner: text.slice(at + mark.length, close) };
+    };
+    const linkTarget = (open, close, labelGroup, targetGroup) => {
+        const target = sticky(MD_LINK_TARGET, close + 1);
+        if (!target) return null;
+        return {
+            length: target.index + target[0].length - open,
+            groups: { [labelGroup]: text.slice(text[open] === '!' ? open + 2 : open + 1, close), [targetGroup]: target.groups.target },
+        };
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        let token = null;
+        let skip = 1;
+
+        if (char === '\\') {
+            if (text[i + 1] && MD_ESCAPABLE.includes(text[i + 1])) token = { length: 2, groups: { escaped: text[i + 1] } };
+            else if (text[i + 1] === '\n') token = { length: 2, groups: { br: '\\\n' } };
+        } else if (char === '`') {
+            let run = 1;
+            while (text[i + run] === '`') run++;
+            const ticks = text.slice(i, i + run);
+            const close = findCloser(`code${run}`, ticks, i + run, index => text[index - 1] !== '`' && text[index + run] !== '`');
+            if (close !== -1) token = { length: close + run - i, groups: { ticks, code: text.slice(i + run, close) } };
+            else skip = run; // sem fechamento do mesmo tamanho, a sequência toda é texto
+        } else if (char === '!' && text[i + 1] === '[') {
+            const close = findCloser(']image', ']', i + 2);
+            if (close !== -1) token = linkTarget(i, close, 'alt', 'src');
+        } else if (char === '[') {
+            const close = findCloser(']link', ']', i + 1);
+            if (close > i + 1) token = linkTarget(i, close, 'label', 'href');
+        } else if (char === '<') {
+            const match = sticky(MD_AUTOLINK, i);
+            if (match) token = { length: match[0].length, groups: { autolink: match.groups.autolink } };
+        } else if (char === '*' || char === '_') {
+            const strong = delimited(char + char, i);
+            const em = strong ? null : delimited(char, i);
+            if (strong) token = { length: strong.length, groups: { strong: strong.inner } };
+            else if (em) token = { length: em.length, groups: { em: em.inner } };
+        } else if (char === '~') {
+            const del = delimited('~~', i);
+            if (del) token = { length: del.length, groups: { del: del.inner } };
+        } else if (char === 'h') {
+            const match = sticky(MD_URL, i);
+            if (match) token = { length: match[0].length, groups: { url: match[0] } };
+        } else if (char === ' ') {
+            let run = 1;
+            while (text[i + run] === ' ') run++;
+            if (run >= 2 && text[i + run] === '\n') token = { length: run + 1, groups: { br: text.slice(i, i + run + 1) } };
+            else skip = run;
+        }
+
+        if (token) {
+            tokens.push({ index: i, ...token });
+            i += token.length;
+        } else {
+            i += skip;
+        }
+    }
+    return tokens;
+};
+
+// Galeria da sala para as imagens citadas com sharepad-image: (fora de uma sala, só o texto alternativo)
+const RoomImagesContext = createContext(null);
+
+function RoomImage({ id, alt }) {
+    const room = useContext(RoomImagesContext);
+    const image = room?.images.find(img => img.id === id);
+    const entry = image ? room.loadImageUrl(image) : null;
+    const [fullUrl, setFullUrl] = useState(entry?.url || null);
+
+    useEffect(() => {
+        if (!entry || entry.url) return;
+        let cancelled = false;
+        entry.promise.then(url => { if (!cancelled) setFullUrl(url); }, () => {});
+        return () => { cancelled = true; };
+    }, [entry]);
+
+    if (!image) return <span className="italic text-gray-400">[{alt || 'imagem'} não está na galeria]</span>;
+    return (
+        <img
+            src={fullUrl || entry?.url || image.thumbnail || image.url}
+            alt={alt}
+            title={image.name}
+            onClick={() => room.openImage(id)}
+            className="inline max-w-full rounded cursor-zoom-in"
+        />
+    );
 }
 
-// --- Componente do Navegador de Arquivos ---
-function FileBrowser({ content, currentFolderId, currentFolderName, onNavigate, onOpenFile, onCreateItem, onGoBack, onRename, onDelete, onFileUpload, fileUploading }) {
-    
-    // Icone de três pontos para menu de contexto
-    const ThreeDots = () => (
-        <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5">
-            <path strokeLinecap="round" strokeLinejoin="round" d="M6.75 12a.75.75 0 1 1-1.5 0 .75.75 0 0 1 1.5 0ZM12.75 12a.75.75 0 1 1-1.5 0 .75.75 0 0 1 1.5 0ZM18.75 12a.75.75 0 1 1-1.5 0 .75.75 0 0 1 1.5 0Z" />
-        </svg>
+const renderMarkdownLink = (href, children, key) => {
+    const url = safeMarkdownUrl(href);
+    if (!url) return <span key={key}>{children}</span>;
+    return (
+        <a key={key} href={url} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline hover:text-blue-800">
+            {children}
+        </a>
     );
-    
-    // Icones para Pasta, Documento e Arquivo
-    const FolderIcon = (props) => (
-        <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5 text-yellow-500" viewBox="0 0 24 24" fill="currentColor" {...props}>
-            <path d="M10 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z"/>
-        </svg>
+};
+
+const renderMarkdownInline = (text, keyPrefix = 'i') => {
+    const nodes = [];
+    let last = 0;
+    for (const match of tokenizeMarkdownInline(text)) {
+        if (match.index > last) nodes.push(text.slice(last, match.index));
+        last = match.index + match.length;
+        const g = match.groups;
+        const key = `${keyPrefix}-${match.index}`;
+
+        if (g.escaped !== undefined) nodes.push(g.escaped);
+        else if (g.ticks !== undefined) nodes.push(<code key={key} className="px-1 py-0.5 bg-gray-100 rounded text-sm font-mono text-pink-700">{g.code.trim()}</code>);
+        else if (g.src !== undefined) {
+            const src = safeMarkdownUrl(g.src, { image: true });
+            if (src?.startsWith(ROOM_IMAGE_SCHEME)) nodes.push(<RoomImage key={key} id={src.slice(ROOM_IMAGE_SCHEME.length)} alt={g.alt} />);
+            else nodes.push(src ? <img key={key} src={src} alt={g.alt} className="inline max-w-full rounded" /> : g.alt);
+        }
+        else if (g.href !== undefined) nodes.push(renderMarkdownLink(g.href, renderMarkdownInline(g.label, key), key));
+        else if (g.autolink !== undefined) nodes.push(renderMarkdownLink(g.autolink, g.autolink, key));
+        else if (g.strong !== undefined) nodes.push(<strong key={key}>{renderMarkdownInline(g.strong, key)}</strong>);
+        else if (g.em !== undefined) nodes.push(<em key={key}>{renderMarkdownInline(g.em, key)}</em>);
+        else if (g.del !== undefined) nodes.push(<del key={key}>{renderMarkdownInline(g.del, key)}</del>);
+        else if (g.url !== undefined) nodes.push(renderMarkdownLink(g.url, g.url, key));
+        else if (g.br !== undefined) nodes.push(<br key={key} />);
+    }
+    if (last < text.length) nodes.push(text.slice(last));
+    return nodes;
+};
+
+const MD_HEADING_CLASSES = [
+    'text-2xl font-bold mt-6 mb-3 pb-1 border-b border-gray-200',
+    'text-xl font-bold mt-5 mb-2 pb-1 border-b border-gray-200',
+    'text-lg font-semibold mt-4 mb-2',
+    'text-base font-semibold mt-3 mb-1',
+    'text-sm font-semibold mt-3 mb-1',
+    'text-sm font-semibold text-gray-600 mt-3 mb-1',
+];
+
+const renderMarkdownBlocks = (blocks, keyPrefix = 'b') => blocks.map((block, index) => {
+    const key = `${keyPrefix}-${index}`;
+    switch (block.type) {
+        case 'heading': {
+            const Tag = `h${block.level}`;
+            return <Tag key={key} className={MD_HEADING_CLASSES[block.level - 1]}>{renderMarkdownInline(block.text, key)}</Tag>;
+        }
+        case 'code':
+            return (
+                <pre key={key} className="bg-gray-900 text-gray-100 p-4 rounded-lg overflow-x-auto text-sm my-3">
+                    <code>{block.text}</code>
+                </pre>
+            );
+        case 'rule':
+            return <hr key={key} className="my-6 border-gray-200" />;
+        case 'quote':
+            return <blockquote key={key} className="border-l-4 border-gray-300 pl-4 text-gray-600 my-3">{renderMarkdownBlocks(block.children, key)}</blockquote>;
+        case 'list': {
+            const Tag = block.ordered ? 'ol' : 'ul';
+            return (
+                <Tag key={key} start={block.ordered ? block.start : undefined} className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-6 my-2 space-y-1`}>
+                    {block.items.map((item, itemIndex) => (
+                        <li key={itemIndex} className={item.checked !== null ? 'list-none -ml-5' : ''}>
+                            {item.checked !== null && <input type="checkbox" checked={item.checked} readOnly className="mr-2 align-middle" />}
+                            {/* O primeiro parágrafo fica na mesma linha do marcador (e da caixa de tarefa) */}
+                            {item.children[0]?.type === 'paragraph' && renderMarkdownInline(item.children[0].text, `${key}-${itemIndex}`)}
+                            {renderMarkdownBlocks(item.children[0]?.type === 'paragraph' ? item.children.slice(1) : item.children, `${key}-${itemIndex}`)}
+                        </li>
+                    ))}
+                </Tag>
+            );
+        }
+        case 'table':
+            return (
+                <div key={key} className="overflow-x-auto my-3">
+                    <table className="border-collapse text-sm">
+                        <thead>
+                            <tr>
+                                {block.header.map((cell, c) => (
+                                    <th key={c} style={{ textAlign: block.align[c] || undefined }} className="border border-gray-300 px-3 py-1.5 bg-gray-50 font-semibold">
+                                        {renderMarkdownInline(cell, `${key}-h${c}`)}
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {block.rows.map((row, r) => (
+                                <tr key={r}>
+                                    {block.header.map((_, c) => (
+                                        <td key={c} style={{ textAlign: block.align[c] || undefined }} className="border border-gray-300 px-3 py-1.5">
+                                            {renderMarkdownInline(row[c] || '', `${key}-${r}-${c}`)}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            );
+        default:
+            return <p key={key} className="my-2 leading-relaxed">{renderMarkdownInline(block.text, key)}</p>;
+    }
+});
+
+function MarkdownPreview({ text, className = '' }) {
+    return (
+        <div className={`p-6 overflow-y-auto text-gray-800 break-words ${className}`}>
+            {text.trim()
+                ? renderMarkdownBlocks(parseMarkdown(text))
+                : <p className="text-gray-400 italic">Nada para visualizar.</p>}
+        </div>
+    );
+}
+
+// --- Componente do Editor de Código ---
+// O textarea fica por cima (texto transparente, só o cursor e a seleção aparecem)
+// e um <pre> com o destaque de sintaxe logo atrás, rolando junto.
+const CODE_TOKEN_CLASSES = {
+    comment: 'text-gray-400',
+    string: 'text-green-700',
+    number: 'text-orange-600',
+    keyword: 'text-purple-700',
+    literal: 'text-blue-700',
+    key: 'text-sky-700',
+    tag: 'text-red-700',
+    variable: 'text-pink-700',
+};
+
+function CodeEditor({ inputRef, value, language, readOnly, placeholder, onEdit, onSelectionChange, remoteCursors = [], commentHighlights = [] }) {
+    const highlightRef = useRef(null);
+    const gutterRef = useRef(null);
+    const cursorsRef = useRef(null);
+    const [cursor, setCursor] = useState(null);
+    const escapedRef = useRef(false); // Esc pressionado: o próximo Tab sai do editor
+    const indentUnit = CODE_LANGUAGES[language]?.indent || '  ';
+
+    const syncScroll = () => {
+        const textarea = inputRef.current;
+        if (!textarea) return;
+        if (highlightRef.current) {
+            highlightRef.current.scrollTop = textarea.scrollTop;
+            highlightRef.current.scrollLeft = textarea.scrollLeft;
+        }
+        if (cursorsRef.current) {
+            cursorsRef.current.scrollTop = textarea.scrollTop;
+            cursorsRef.current.scrollLeft = textarea.scrollLeft;
+        }
+        if (gutterRef.current) gutterRef.current.scrollTop = textarea.scrollTop;
+    };
+
+    useLayoutEffect(syncScroll, [value]);
+
+    const updateCursor = (e) => {
+        const { selectionStart, selectionEnd } = e.target;
+        setCursor(selectionStart === selectionEnd ? selectionStart : null);
+        if (onSelectionChange) onSelectionChange();
+    };
+
+    // Tab/Shift+Tab indentam as linhas selecionadas; Enter mantém a indentação da linha.
+    // Para quem navega pelo teclado, Esc seguido de Tab move o foco para fora do editor.
+    const handleKeyDown = (e) => {
+        if (readOnly || e.nativeEvent.isComposing) return;
+        const escaped = escapedRef.current;
+        if (!['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) escapedRef.current = e.key === 'Escape';
+        const { selectionStart: start, selectionEnd: end } = e.target;
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+
+        if (e.key === 'Tab' && !escaped) {
+            e.preventDefault();
+            if (!e.shiftKey && start === end) {
+                onEdit(value.slice(0, start) + indentUnit + value.slice(end), [start + indentUnit.length, start + indentUnit.length]);
+                return;
+            }
+            const blockEnd = end > start && value[end - 1] === '\n' ? end - 1 : end;
+            const nextBreak = value.indexOf('\n', blockEnd);
+            const lineEnd = nextBreak === -1 ? value.length : nextBreak;
+            const outdent = new RegExp(`^(?:\\t| {1,${indentUnit.length}})`);
+            let firstDelta = 0;
+            let totalDelta = 0;
+            const lines = value.slice(lineStart, lineEnd).split('\n').map((line, index) => {
+                const delta = e.shiftKey ? -((line.match(outdent) || [''])[0].length) : indentUnit.length;
+                if (index === 0) firstDelta = delta;
+                totalDelta += delta;
+                return e.shiftKey ? line.slice(-delta) : indentUnit + line;
+            });
+            onEdit(
+                value.slice(0, lineStart) + lines.join('\n') + value.slice(lineEnd),
+                [Math.max(lineStart, start + firstDelta), end + totalDelta]
+            );
+            return;
+        }
+
+        if (e.key === 'Enter' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            const before = value.slice(lineStart, start);
+            const indent = before.match(/^[ \t]*/)[0] + (/[{[(:]\s*$/.test(before) ? indentUnit : '');
+            const insert = `\n${indent}`;
+            onEdit(value.slice(0, start) + insert + value.slice(end), [start + insert.length, start + insert.length]);
+        }
+    };
+
+    // Destaque de sintaxe, com o par de colchetes junto ao cursor realçado
+    const brackets = cursor !== null ? findMatchingBracket(value, cursor) : null;
+    const highlighted = [];
+    let offset = 0;
+    highlightCode(value, language).forEach((token, index) => {
+        const className = CODE_TOKEN_CLASSES[token.type];
+        const cuts = (brackets || []).filter(pos => pos >= offset && pos < offset + token.text.length);
+        let from = 0;
+        cuts.forEach(pos => {
+            const local = pos - offset;
+            if (local > from) highlighted.push(<span key={`${index}-${from}`} className={className}>{token.text.slice(from, local)}</span>);
+            highlighted.push(<span key={`${index}-b${local}`} className="bg-yellow-200 rounded-sm outline outline-1 outline-yellow-400">{token.text[local]}</span>);
+            from = local + 1;
+        });
+        if (from < token.text.length) highlighted.push(<span key={`${index}-${from}`} className={className}>{token.text.slice(from)}</span>);
+        offset += token.text.length;
+    });
+
+    const lineCount = value.split('\n').length;
+
+    return (
+        <div className="flex flex-1 min-w-0 overflow-hidden bg-white font-mono text-sm leading-6">
+            <div ref={gutterRef} className="select-none overflow-hidden text-right text-gray-400 bg-gray-50 border-r border-gray-100 py-4 px-3 flex-shrink-0">
+                {Array.from({ length: lineCount }, (_, i) => <div key={i}>{i + 1}</div>)}
+            </div>
+            <div className="relative flex-1 min-w-0">
+                <pre
+                    ref={highlightRef}
+                    aria-hidden="true"
+                    className="absolute inset-0 m-0 p-4 overflow-hidden whitespace-pre text-gray-800 pointer-events-none"
+                    style={{ tabSize: indentUnit.length }}
+                >
+                    {highlighted}{'\n'}
+                </pre>
+                <RemoteCursorsOverlay
+                    overlayRef={cursorsRef}
+                    text={value}
+                    cursors={remoteCursors}
+                    highlights={commentHighlights}
+                    className="p-4 whitespace-pre overflow-hidden"
+                    style={{ tabSize: indentUnit.length }}
+                />
+                <textarea
+                    ref={inputRef}
+                    value={value}
+                    onChange={(e) => onEdit(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    onSelect={updateCursor}
+                    onScroll={syncScroll}
+                    readOnly={readOnly}
+                    placeholder={placeholder}
+                    wrap="off"
+                    spellCheck={false}
+                    className="absolute inset-0 w-full h-full p-4 resize-none outline-none bg-transparent text-transparent caret-gray-800 whitespace-pre overflow-auto selection:bg-blue-200/60"
+                    style={{ tabSize: indentUnit.length }}
+                />
+            </div>
+        </div>
+    );
+}
+
+// --- Cursores Remotos ---
+// Camada atrás do textarea (que fica com fundo transparente) com o mesmo texto invisível,
+// a mesma fonte e quebra de linha: as seleções viram fundos coloridos e os cursores, barras.
+// Trechos com comentários abertos (highlights) ganham fundo amarelo, mais forte no ativo.
+function RemoteCursorsOverlay({ overlayRef, text, cursors, highlights = [], className = '', style }) {
+    const clamp = (index) => Math.max(0, Math.min(index, text.length));
+    const ranges = cursors.map(c => ({ ...c, from: clamp(Math.min(c.start, c.end)), to: clamp(Math.max(c.start, c.end)), caret: clamp(c.end) }));
+    const marks = highlights.map(h => ({ ...h, from: clamp(h.from), to: clamp(h.to) })).filter(h => h.from < h.to);
+    const boundaries = [...new Set([0, text.length, ...ranges.flatMap(r => [r.from, r.to, r.caret]), ...marks.flatMap(m => [m.from, m.to])])].sort((a, b) => a - b);
+
+    const caretsAt = (position) => ranges.filter(r => r.caret === position).map(r => (
+        <span
+            key={`caret-${r.id}`}
+            className="relative inline-block w-0 h-[1.2em] -mr-0.5 align-text-bottom border-l-2"
+            style={{ borderColor: r.color }}
+        >
+            <span
+                className="absolute -top-4 left-0 px-1 text-[10px] leading-4 font-sans text-white rounded whitespace-nowrap"
+                style={{ backgroundColor: r.color }}
+            >
+                {r.name}
+            </span>
+        </span>
+    ));
+
+    const segments = [];
+    boundaries.forEach((position, index) => {
+        segments.push(...caretsAt(position));
+        const next = boundaries[index + 1];
+        if (next === undefined || next === position) return;
+        const selection = ranges.find(r => r.from <= position && next <= r.to && r.from !== r.to);
+        const covering = marks.filter(m => m.from <= position && next <= m.to);
+        const mark = covering.find(m => m.active) || covering[0];
+        const background = selection
+            ? `${selection.color}33`
+            : mark && (mark.active ? 'rgba(250, 204, 21, 0.55)' : 'rgba(250, 204, 21, 0.25)');
+        segments.push(
+            <span key={`text-${position}`} style={background ? { backgroundColor: background } : undefined}>
+                {text.slice(position, next)}
+            </span>
+        );
+    });
+
+    return (
+        <div
+            ref={overlayRef}
+            aria-hidden="true"
+            className={`absolute inset-0 m-0 text-transparent pointer-events-none ${className}`}
+            style={style}
+        >
+            {segments}{'\n'}
+        </div>
     );
+}
 
-    const DocumentIcon = (props) => (
-        <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5 text-blue-600" viewBox="0 0 24 24" fill="currentColor" {...props}>
-            <path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.89 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zM6 20V4h7v4h4v12H6z"/>
-        </svg>
+// --- Presença ---
+function PresenceBar({ participants, nickname, color, onRename }) {
+    const [open, setOpen] = useState(false);
+    const [draft, setDraft] = useState(nickname);
+    // Várias abas da mesma pessoa aparecem uma vez só
+    const people = Object.values(participants.reduce((acc, p) => ({ ...acc, [p.uid || p.id]: p }), {}));
+    const everyone = [{ id: 'me', name: nickname, color, isMe: true }, ...people];
+    const visible = everyone.slice(0, 5);
+
+    const avatar = (person, extraClass = '') => (
+        <span
+            key={person.id || person.name}
+            className={`w-7 h-7 rounded-full flex items-center justify-center text-xs font-bold text-white ring-2 ring-white ${extraClass}`}
+            style={{ backgroundColor: person.color }}
+            title={person.isMe ? `${person.name} (você)` : person.name}
+        >
+            {(person.name || '?').charAt(0).toUpperCase()}
+        </span>
     );
-    
-    const FileIcon = (props) => (
-        <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5 text-gray-500" viewBox="0 0 24 24" fill="currentColor" {...props}>
-            <path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.89 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zM6 20V4h7v5h5v11H6z"/>
-        </svg>
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => {
+                    setDraft(nickname);
+                    setOpen(!open);
+                }}
+                className="flex items-center -space-x-2 p-1 rounded-lg hover:bg-gray-100"
+                title="Pessoas na sala"
+            >
+                {visible.map(person => avatar(person))}
+                {everyone.length > visible.length && avatar({ name: `+${everyone.length - visible.length}`, color: '#9ca3af' })}
+            </button>
+            {open && (
+                <div className="absolute right-0 mt-2 w-64 bg-white border border-gray-200 rounded-xl shadow-xl z-40 p-3">
+                    <p className="text-xs font-semibold text-gray-500 mb-2 flex items-center gap-1">
+                        <Users className="w-4 h-4" /> Na sala agora ({everyone.length})
+                    </p>
+                    <form
+                        onSubmit={(e) => {
+                            e.preventDefault();
+                            onRename(draft);
+                            setOpen(false);
+                        }}
+                        className="flex items-center gap-2 mb-2"
+                    >
+                        {avatar({ name: draft || nickname, color })}
+                        <input
+                            value={draft}
+                            onChange={(e) => setDraft(e.target.value)}
+                            maxLength={32}
+                            className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+                            title="Seu apelido"
+                        />
+                        <button type="submit" className="p-1 text-blue-600 hover:bg-blue-50 rounded" title="Salvar apelido">
+                            <Check className="w-4 h-4" />
+                        </button>
+                    </form>
+                    <ul className="space-y-1 max-h-48 overflow-y-auto">
+                        {people.map(person => (
+                            <li key={person.id} className="flex items-center gap-2 text-sm text-gray-700">
+                                {avatar(person)}
+                                <span className="truncate">{person.name}</span>
+                            </li>
+                        ))}
+                        {people.length === 0 && <li className="text-xs text-gray-400">Só você por aqui.</li>}
+                    </ul>
+                </div>
+            )}
+        </div>
     );
-    
-    const [contextMenu, setContextMenu] = useState({ visible: false, x: 0, y: 0, itemId: null, itemType: null, itemName: '', item: null });
+}
 
-    const handleContextMenu = (e, item) => {
-        e.preventDefault();
-        setContextMenu({
-            visible: true,
-            x: e.clientX,
-            y: e.clientY,
-            itemId: item.id,
-            itemType: item.type,
-            itemName: item.name,
-            item: item,
-        });
-    };
+// --- Fila de Envios ---
+function UploadQueue({ tasks, onClear }) {
+    if (tasks.length === 0) return null;
 
-    const closeContextMenu = () => {
-        setContextMenu({ visible: false, x: 0, y: 0, itemId: null, itemType: null, itemName: '', item: null });
+    const finished = tasks.filter(task => task.status === 'done' || task.status === 'error').length;
+    const statusLabel = {
+        pending: 'na fila',
+        uploading: 'enviando',
+        done: 'enviado',
     };
 
-    // Fechar menu de contexto ao clicar fora
+    return (
+        <div className="mb-4 bg-white border border-gray-200 rounded-xl shadow-sm flex-shrink-0 overflow-hidden">
+            <div className="flex items-center justify-between px-3 py-2 border-b border-gray-100 text-xs text-gray-500">
+                <span className="font-semibold">Envios ({finished}/{tasks.length})</span>
+                <button
+                    onClick={onClear}
+                    disabled={finished === 0}
+                    className="hover:text-blue-600 disabled:opacity-40"
+                >
+                    Limpar concluídos
+                </button>
+            </div>
+            <div className="max-h-40 overflow-y-auto divide-y divide-gray-100">
+                {tasks.map(task => {
+                    const percent = task.total ? Math.round((task.loaded / task.total) * 100) : 0;
+                    return (
+                        <div key={task.id} className="px-3 py-2 text-xs">
+                            <div className="flex justify-between gap-2">
+                                <span className="truncate text-gray-700">{task.name}</span>
+                                {task.status === 'error' ? (
+                                    <span className="text-red-600 whitespace-nowrap">erro</span>
+                                ) : (
+                                    <span className={`whitespace-nowrap ${task.status === 'done' ? 'text-green-600' : 'text-gray-400'}`}>
+                                        {task.status === 'uploading' && task.kind === 'file' ? `${percent}%` : statusLabel[task.status]}
+                                    </span>
+                                )}
+                            </div>
+                            {task.status === 'uploading' && (
+                                <div className="h-1.5 mt-1 bg-gray-100 rounded-full overflow-hidden">
+                                    <div
+                                        className={`h-full bg-green-500 transition-all ${task.kind === 'image' ? 'animate-pulse w-full' : ''}`}
+                                        style={task.kind === 'file' ? { width: `${percent}%` } : undefined}
+                                    ></div>
+                                </div>
+                            )}
+                            {task.status === 'error' && (
+                                <p className="text-red-500 mt-0.5 truncate" title={task.error}>{task.error}</p>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+// --- Visualizador de Imagens em Tela Cheia ---
+const LIGHTBOX_MIN_ZOOM = 1;
+const LIGHTBOX_MAX_ZOOM = 6;
+const LIGHTBOX_SWIPE_DISTANCE = 50;
+
+const clampZoom = (value) => Math.min(LIGHTBOX_MAX_ZOOM, Math.max(LIGHTBOX_MIN_ZOOM, value));
+
+// Mostra a miniatura enquanto a imagem completa é baixada do armazenamento em blocos.
+// Zoom pela roda, pinça, duplo clique ou botões; arrastar move a imagem ampliada e,
+// sem zoom, um deslize horizontal troca de imagem.
+function ImageLightbox({ images, imageId, onNavigate, onClose, loadImage, onDownload, onDelete, describeUploader, paused = false }) {
+    const index = images.findIndex(img => img.id === imageId);
+    const image = images[index];
+    const [fullUrls, setFullUrls] = useState({});
+    const [loadError, setLoadError] = useState(null);
+    const [zoom, setZoom] = useState(1);
+    const [offset, setOffset] = useState({ x: 0, y: 0 });
+    const pointersRef = useRef(new Map());
+    const gestureRef = useRef(null);
+    const urlsRef = useRef({});
+    const lastIndexRef = useRef(index);
+
+    const goTo = useCallback((step) => {
+        if (images.length === 0) return;
+        const next = (index + step + images.length) % images.length;
+        onNavigate(images[next].id);
+    }, [images, index, onNavigate]);
+
+    // Imagem excluída (ou movida para a lixeira) enquanto aberta: segue para a vizinha
     useEffect(() => {
-        const handleClickOutside = () => closeContextMenu();
-        if (contextMenu.visible) {
-            document.addEventListener('click', handleClickOutside);
+        if (index !== -1) {
+            lastIndexRef.current = index;
+            return;
         }
-        return () => document.removeEventListener('click', handleClickOutside);
-    }, [contextMenu.visible]);
-    
-    const handleRenameClick = () => {
-        onRename(contextMenu.item);
-        closeContextMenu();
+        if (images.length === 0) onClose();
+        else onNavigate(images[Math.min(lastIndexRef.current, images.length - 1)].id);
+    }, [index, images, onNavigate, onClose]);
+
+    useEffect(() => {
+        setZoom(1);
+        setOffset({ x: 0, y: 0 });
+        setLoadError(null);
+    }, [imageId]);
+
+    // urlsRef guarda a promessa de cada imagem já pedida, para não baixá-la de novo a cada snapshot
+    useEffect(() => {
+        if (!urlsRef.current) urlsRef.current = {};
+        if (!image || urlsRef.current[image.id]) return;
+        const id = image.id;
+        urlsRef.current[id] = loadImage(image).then((blob) => {
+            const url = URL.createObjectURL(blob);
+            if (!urlsRef.current) URL.revokeObjectURL(url);
+            else setFullUrls(prev => ({ ...prev, [id]: url }));
+            return url;
+        });
+        urlsRef.current[id].catch((err) => {
+            console.error("Erro ao carregar imagem completa:", err);
+            if (!urlsRef.current) return;
+            delete urlsRef.current[id];
+            setLoadError('Não foi possível carregar a imagem completa.');
+        });
+    }, [image, loadImage]);
+
+    useEffect(() => () => {
+        const pending = Object.values(urlsRef.current);
+        urlsRef.current = null;
+        pending.forEach(promise => promise.then(url => URL.revokeObjectURL(url), () => {}));
+    }, []);
+
+    const zoomTo = (value) => {
+        const next = clampZoom(value);
+        setZoom(next);
+        if (next === 1) setOffset({ x: 0, y: 0 });
     };
 
-    const handleDeleteClick = () => {
-        onDelete(contextMenu.itemId, contextMenu.itemName);
-        closeContextMenu();
+    useEffect(() => {
+        if (paused) return;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            else if (e.key === 'ArrowRight') goTo(1);
+            else if (e.key === 'ArrowLeft') goTo(-1);
+            else if (e.key === '+' || e.key === '=') setZoom(z => clampZoom(z * 1.25));
+            else if (e.key === '-') setZoom(z => {
+                const next = clampZoom(z / 1.25);
+                if (next === 1) setOffset({ x: 0, y: 0 });
+                return next;
+            });
+            else if (e.key === '0') { setZoom(1); setOffset({ x: 0, y: 0 }); }
+            else return;
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [paused, goTo, onClose]);
+
+    if (!image) return null;
+
+    const pointerDistance = () => {
+        const [a, b] = [...pointersRef.current.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
     };
-    
-    // Lógica para download de arquivo (tipo 'file')
-    const handleFileClick = (item) => {
-        const link = document.createElement('a');
-        link.href = item.url;
-        link.download = item.name;
-        link.click();
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        gestureRef.current = pointersRef.current.size === 2
+            ? { type: 'pinch', distance: pointerDistance(), zoom }
+            : { type: 'drag', startX: e.clientX, startY: e.clientY, offset };
+    };
+
+    const handlePointerMove = (e) => {
+        if (!pointersRef.current.has(e.pointerId)) return;
+        pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        const gesture = gestureRef.current;
+        if (gesture?.type === 'pinch' && pointersRef.current.size === 2) {
+            zoomTo(gesture.zoom * pointerDistance() / gesture.distance);
+        } else if (gesture?.type === 'drag' && zoom > 1) {
+            setOffset({ x: gesture.offset.x + e.clientX - gesture.startX, y: gesture.offset.y + e.clientY - gesture.startY });
+        }
+    };
+
+    const handlePointerUp = (e) => {
+        const gesture = gestureRef.current;
+        pointersRef.current.delete(e.pointerId);
+        if (gesture?.type === 'drag' && zoom === 1) {
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+            if (Math.abs(dx) > LIGHTBOX_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) goTo(dx < 0 ? 1 : -1);
+        }
+        gestureRef.current = null;
     };
 
+    const fullUrl = fullUrls[image.id] || (!image.thumbnail ? image.url : null);
+    const src = fullUrl || image.thumbnail || image.url;
+
     return (
-        <div className="h-full flex flex-col p-6 bg-gray-50">
-            {/* Header de Navegação */}
-            <div className="flex items-center space-x-2 mb-4 p-3 bg-white border border-gray-200 rounded-xl shadow-md">
-                <button 
-                    onClick={onGoBack} 
-                    disabled={!currentFolderId} // Corrigido para desabilitar apenas na Raiz
-                    className="p-1 rounded-full hover:bg-gray-100 transition disabled:opacity-50"
-                    title="Voltar"
-                >
-                    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5">
-                        <path strokeLinecap="round" strokeLinejoin="round" d="M9 15 3 9m0 0 6-6M3 9h12a6 6 0 0 1 0 12h-3" />
-                    </svg>
+        <div className="fixed inset-0 z-50 flex flex-col bg-black/95 text-white select-none">
+            <div className="flex items-center gap-3 px-4 py-3 bg-black/60">
+                <div className="min-w-0 flex-1">
+                    <p className="font-medium truncate" title={image.name}>{image.name || 'Imagem sem nome'}</p>
+                    <p className="text-xs text-gray-400 truncate">
+                        {describeUploader(image.uploadedBy)} · {safeFormatDateTime(image.createdAt)}
+                        {image.width && image.height ? ` · ${image.width}×${image.height}` : ''}
+                        {image.size ? ` · ${formatBytes(image.size)}` : ''}
+                        {images.length > 1 ? ` · ${index + 1} de ${images.length}` : ''}
+                    </p>
+                </div>
+                <button onClick={() => zoomTo(zoom / 1.25)} disabled={zoom <= LIGHTBOX_MIN_ZOOM} className="p-2 rounded-full hover:bg-white/10 disabled:opacity-30" title="Diminuir zoom (-)">
+                    <ZoomOut className="w-5 h-5" />
+                </button>
+                <span className="text-xs text-gray-300 w-10 text-center">{Math.round(zoom * 100)}%</span>
+                <button onClick={() => zoomTo(zoom * 1.25)} disabled={zoom >= LIGHTBOX_MAX_ZOOM} className="p-2 rounded-full hover:bg-white/10 disabled:opacity-30" title="Aumentar zoom (+)">
+                    <ZoomIn className="w-5 h-5" />
+                </button>
+                <button onClick={() => zoomTo(1)} disabled={zoom === 1} className="p-2 rounded-full hover:bg-white/10 disabled:opacity-30" title="Ajustar à tela (0)">
+                    <Maximize2 className="w-5 h-5" />
+                </button>
+                <button onClick={() => onDownload(image)} className="p-2 rounded-full hover:bg-white/10" title="Baixar imagem completa">
+                    <Download className="w-5 h-5" />
+                </button>
+                {onDelete && (
+                    <button onClick={() => onDelete(image)} className="p-2 rounded-full hover:bg-white/10 hover:text-red-400" title="Mover para a lixeira">
+                        <Trash2 className="w-5 h-5" />
+                    </button>
+                )}
+                <button onClick={onClose} className="p-2 rounded-full hover:bg-white/10" title="Fechar (Esc)">
+                    <X className="w-5 h-5" />
                 </button>
-                <span className="font-bold text-gray-800 truncate">
-                    {currentFolderName}
-                </span>
             </div>
 
-            {/* Ações */}
-            <div className="flex space-x-3 mb-6 flex-shrink-0 flex-wrap gap-y-3">
-                <button
-                    onClick={() => onCreateItem('document')}
-                    className="flex items-center gap-1.5 px-4 py-2 text-sm bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition shadow-lg shadow-blue-500/30"
-                >
-                    <DocumentIcon className="w-4 h-4 text-white" />
-                    Novo Doc
+            <div
+                className={`relative flex-1 overflow-hidden flex items-center justify-center touch-none ${zoom > 1 ? 'cursor-grab active:cursor-grabbing' : ''}`}
+                onWheel={(e) => zoomTo(zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1))}
+                onDoubleClick={() => zoomTo(zoom > 1 ? 1 : 2.5)}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+            >
+                <img
+                    src={src}
+                    alt={image.name || ''}
+                    draggable={false}
+                    className="max-w-full max-h-full object-contain"
+                    style={{
+                        transform: `translate(${offset.x}px, ${offset.y}px) scale(${zoom})`,
+                        transition: gestureRef.current ? 'none' : 'transform 0.15s ease-out',
+                    }}
+                />
+                {!fullUrl && !loadError && (
+                    <div className="absolute bottom-4 left-1/2 -translate-x-1/2 flex items-center gap-2 text-xs bg-black/60 px-3 py-1.5 rounded-full">
+                        <Loader2 className="w-4 h-4 animate-spin" /> Carregando imagem completa...
+                    </div>
+                )}
+                {loadError && (
+                    <div className="absolute bottom-4 left-1/2 -translate-x-1/2 text-xs bg-red-600/80 px-3 py-1.5 rounded-full">{loadError}</div>
+                )}
+                {images.length > 1 && (
+                    <>
+                        <button
+                            onClick={() => goTo(-1)}
+                            onPointerDown={(e) => e.stopPropagation()}
+                            className="absolute left-3 top-1/2 -translate-y-1/2 p-2 rounded-full bg-black/50 hover:bg-black/80"
+                            title="Anterior (←)"
+                        >
+                            <ChevronLeft className="w-6 h-6" />
+                        </button>
+                        <button
+                            onClick={() => goTo(1)}
+                            onPointerDown={(e) => e.stopPropagation()}
+                            className="absolute right-3 top-1/2 -translate-y-1/2 p-2 rounded-full bg-black/50 hover:bg-black/80"
+                            title="Próxima (→)"
+                        >
+                            <ChevronRight className="w-6 h-6" />
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// --- Pré-visualização de Arquivos ---
+// Renderiza uma página por vez (na largura do painel) e cancela a anterior ao trocar
+function PdfPreview({ blob }) {
+    const containerRef = useRef(null);
+    const canvasRef = useRef(null);
+    const [pdf, setPdf] = useState(null);
+    const [pageNumber, setPageNumber] = useState(1);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        let loadingTask = null;
+        (async () => {
+            try {
+                const pdfjs = await loadPdfjs();
+                loadingTask = pdfjs.getDocument({ data: new Uint8Array(await blob.arrayBuffer()), isEvalSupported: false });
+                const loaded = await loadingTask.promise;
+                if (!cancelled) setPdf(loaded);
+            } catch (err) {
+                console.error("Erro ao abrir PDF:", err);
+                if (!cancelled) setError('Não foi possível abrir este PDF.');
+            }
+        })();
+        return () => {
+            cancelled = true;
+            loadingTask?.destroy();
+        };
+    }, [blob]);
+
+    useEffect(() => {
+        if (!pdf || !canvasRef.current) return;
+        let renderTask = null;
+        let cancelled = false;
+        pdf.getPage(pageNumber).then((page) => {
+            if (cancelled) return;
+            const width = containerRef.current.clientWidth - 32;
+            const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+            const ratio = window.devicePixelRatio || 1;
+            const canvas = canvasRef.current;
+            canvas.width = Math.floor(viewport.width * ratio);
+            canvas.height = Math.floor(viewport.height * ratio);
+            canvas.style.width = `${Math.floor(viewport.width)}px`;
+            canvas.style.height = `${Math.floor(viewport.height)}px`;
+            renderTask = page.render({
+                canvasContext: canvas.getContext('2d'),
+                viewport,
+                transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null,
+            });
+            renderTask.promise.catch((err) => {
+                if (err?.name !== 'RenderingCancelledException') console.error("Erro ao renderizar página:", err);
+            });
+        });
+        return () => {
+            cancelled = true;
+            renderTask?.cancel();
+        };
+    }, [pdf, pageNumber]);
+
+    if (error) return <p className="text-sm text-red-600 text-center py-10">{error}</p>;
+
+    return (
+        <div className="h-full flex flex-col">
+            <div className="flex items-center justify-center gap-3 py-2 border-b border-gray-200 bg-gray-50 text-sm text-gray-600">
+                <button onClick={() => setPageNumber(n => n - 1)} disabled={!pdf || pageNumber <= 1} className="p-1 rounded hover:bg-gray-200 disabled:opacity-30" title="Página anterior">
+                    <ChevronLeft className="w-5 h-5" />
+                </button>
+                <span>{pdf ? `Página ${pageNumber} de ${pdf.numPages}` : 'Carregando PDF...'}</span>
+                <button onClick={() => setPageNumber(n => n + 1)} disabled={!pdf || pageNumber >= pdf.numPages} className="p-1 rounded hover:bg-gray-200 disabled:opacity-30" title="Próxima página">
+                    <ChevronRight className="w-5 h-5" />
                 </button>
+            </div>
+            <div ref={containerRef} className="flex-1 overflow-auto p-4 bg-gray-100 flex justify-center">
+                <canvas ref={canvasRef} className="shadow-md bg-white" />
+            </div>
+        </div>
+    );
+}
+
+function TextPreview({ text, kind, name }) {
+    const truncated = text.length >= MAX_TEXT_PREVIEW_SIZE;
+    let content = text;
+    let language = kind === 'json' ? 'json' : inferCodeLanguage(name);
+    if (kind === 'json') {
+        try {
+            content = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (e) {
+            language = null; // JSON inválido aparece como veio
+        }
+    }
+    return (
+        <div className="h-full overflow-auto">
+            {truncated && <p className="text-xs text-orange-600 bg-orange-50 px-4 py-2">Arquivo grande: mostrando só o início. Baixe para ver tudo.</p>}
+            <pre className="p-4 text-sm font-mono whitespace-pre-wrap break-words text-gray-800">
+                {highlightCode(content, language).map((token, index) => (
+                    <span key={index} className={CODE_TOKEN_CLASSES[token.type]}>{token.text}</span>
+                ))}
+            </pre>
+        </div>
+    );
+}
+
+function CsvPreview({ text }) {
+    const rows = parseCsv(text, MAX_CSV_PREVIEW_ROWS + 1);
+    const [header = [], ...body] = rows;
+    const columns = Math.max(0, ...rows.map(row => row.length));
+    return (
+        <div className="h-full overflow-auto">
+            {(body.length > MAX_CSV_PREVIEW_ROWS || text.length >= MAX_TEXT_PREVIEW_SIZE) && (
+                <p className="text-xs text-orange-600 bg-orange-50 px-4 py-2">Mostrando só as primeiras linhas. Baixe o arquivo para ver tudo.</p>
+            )}
+            <table className="border-collapse text-sm">
+                <thead className="sticky top-0">
+                    <tr>
+                        {Array.from({ length: columns }, (_, c) => (
+                            <th key={c} className="border border-gray-300 px-3 py-1.5 bg-gray-100 font-semibold text-left whitespace-nowrap">{header[c] ?? ''}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {body.slice(0, MAX_CSV_PREVIEW_ROWS).map((row, r) => (
+                        <tr key={r} className="even:bg-gray-50">
+                            {Array.from({ length: columns }, (_, c) => (
+                                <td key={c} className="border border-gray-200 px-3 py-1 whitespace-pre-wrap align-top">{row[c] ?? ''}</td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+// Os bytes são buscados (e descriptografados) ao abrir; baixar fica como ação secundária
+function FilePreviewModal({ item, loadBlob, encrypted, onDownload, onClose }) {
+    const kind = filePreviewKind(item);
+    const [blob, setBlob] = useState(null);
+    const [blobUrl, setBlobUrl] = useState(null);
+    const [textContent, setTextContent] = useState(null);
+    const [error, setError] = useState(null);
+    const [zoomed, setZoomed] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        let url = null;
+        (async () => {
+            try {
+                const loaded = await loadBlob(item);
+                if (cancelled) return;
+                // O tipo guardado no item vale mais que o do blob remontado a partir dos blocos
+                const typed = item.mimeType && loaded.type !== item.mimeType ? new Blob([loaded], { type: item.mimeType }) : loaded;
+                if (['text', 'csv', 'json'].includes(kind)) {
+                    const text = await typed.slice(0, MAX_TEXT_PREVIEW_SIZE).text();
+                    if (!cancelled) setTextContent(text);
+                } else {
+                    url = URL.createObjectURL(typed);
+                    setBlob(typed);
+                    setBlobUrl(url);
+                }
+            } catch (err) {
+                console.error("Erro ao carregar prévia:", err);
+                if (!cancelled) setError(err.message || 'Desconhecido');
+            }
+        })();
+        return () => {
+            cancelled = true;
+            if (url) URL.revokeObjectURL(url);
+        };
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [item.id]);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const loading = !error && !blobUrl && textContent === null;
+
+    return (
+        <Modal onClose={onClose} size="max-w-5xl">
+            <div className="flex flex-col h-[85vh]">
+                <div className="flex items-center gap-3 px-4 py-3 border-b border-gray-200">
+                    <FileText className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                    <div className="min-w-0 flex-1">
+                        <p className="font-semibold text-gray-800 truncate" title={item.name}>{item.name}</p>
+                        <p className="text-xs text-gray-400">{formatBytes(item.size)} · {safeFormatDateTime(item.updatedAt || item.createdAt)}</p>
+                    </div>
+                    <button
+                        onClick={() => onDownload(item)}
+                        className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition"
+                    >
+                        <Download className="w-4 h-4" /> Baixar
+                    </button>
+                    <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded-full text-gray-500" title="Fechar (Esc)">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="flex-1 min-h-0 bg-white">
+                    {loading && (
+                        <div className="h-full flex items-center justify-center text-gray-400 gap-2">
+                            <Loader2 className="w-5 h-5 animate-spin" /> Carregando...
+                        </div>
+                    )}
+                    {error && <p className="text-sm text-red-600 text-center py-10">Erro ao carregar a prévia: {error}</p>}
+                    {kind === 'pdf' && blob && (encrypted ? (
+                        <p className="text-sm text-gray-500 text-center py-10 px-6">
+                            A prévia de PDF usa um leitor externo (pdf.js) e fica desativada em salas criptografadas. Baixe o arquivo para abri-lo.
+                        </p>
+                    ) : <PdfPreview blob={blob} />)}
+                    {kind === 'image' && blobUrl && (
+                        <div className={`h-full bg-gray-900 ${zoomed ? 'overflow-auto' : 'flex items-center justify-center'}`}>
+                            <img
+                                src={blobUrl}
+                                alt={item.name}
+                                onClick={() => setZoomed(z => !z)}
+                                className={zoomed ? 'max-w-none cursor-zoom-out' : 'max-w-full max-h-full object-contain cursor-zoom-in'}
+                            />
+                        </div>
+                    )}
+                    {kind === 'audio' && blobUrl && (
+                        <div className="h-full flex items-center justify-center p-6">
+                            <audio src={blobUrl} controls className="w-full max-w-xl" />
+                        </div>
+                    )}
+                    {kind === 'video' && blobUrl && (
+                        <div className="h-full flex items-center justify-center bg-black">
+                            <video src={blobUrl} controls className="max-w-full max-h-full" />
+                        </div>
+                    )}
+                    {kind === 'csv' && textContent !== null && <CsvPreview text={textContent} />}
+                    {(kind === 'text' || kind === 'json') && textContent !== null && <TextPreview text={textContent} kind={kind} name={item.name} />}
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
+// --- Expiração ---
+function ExpiryCountdown({ expiresAt }) {
+    const [now, setNow] = useState(() => Date.now());
+    const farAway = expiresAt - now > DAY_MS;
+    useEffect(() => {
+        setNow(Date.now());
+        const timer = setInterval(() => setNow(Date.now()), farAway ? 60000 : 1000);
+        return () => clearInterval(timer);
+    }, [expiresAt, farAway]);
+    return <>{formatCountdown(expiresAt - now)}</>;
+}
+
+// Atalhos (daqui a 1 hora, 1 dia...) ou uma data exata; null = nunca expira
+function ExpiryPicker({ value, onChange }) {
+    return (
+        <div className="space-y-2">
+            <div className="flex flex-wrap gap-1">
+                {EXPIRY_PRESETS.map(preset => (
+                    <button
+                        key={preset.label}
+                        type="button"
+                        onClick={() => onChange(Date.now() + preset.ms)}
+                        className="px-2.5 py-1 text-xs border border-gray-300 rounded-lg hover:bg-gray-50 transition"
+                    >
+                        {preset.label}
+                    </button>
+                ))}
                 <button
-                    onClick={() => onCreateItem('folder')}
-                    className="flex items-center gap-1.5 px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-xl hover:bg-gray-300 transition shadow-lg shadow-gray-300/30"
+                    type="button"
+                    onClick={() => onChange(null)}
+                    className={`px-2.5 py-1 text-xs border rounded-lg transition ${value ? 'border-gray-300 hover:bg-gray-50' : 'border-blue-300 bg-blue-50 text-blue-700'}`}
                 >
-                    <FolderIcon className="w-4 h-4 text-yellow-600" />
-                    Nova Pasta
+                    Nunca
                 </button>
-                
-                {/* NOVO: Botão de Upload de Arquivo */}
-                <label className={`
-                    flex items-center gap-1.5 px-4 py-2 text-sm rounded-xl transition cursor-pointer 
-                    ${fileUploading ? 'bg-gray-400 text-white cursor-not-allowed' : 'bg-green-600 text-white hover:bg-green-700 shadow-lg shadow-green-500/30'}
-                `}>
-                    {fileUploading ? (
-                        <>
-                            <Loader2 className="w-4 h-4 animate-spin" />
-                            Enviando...
-                        </>
-                    ) : (
-                        <>
-                            <Upload className="w-4 h-4" />
-                            Carregar Arquivo
-                        </>
-                    )}
-                    <input 
-                        type="file" 
-                        className="hidden" 
-                        onChange={onFileUpload} 
-                        disabled={fileUploading}
-                    />
-                </label>
             </div>
+            <input
+                type="datetime-local"
+                value={value ? toDateTimeLocal(value) : ''}
+                onChange={(e) => onChange(fromDateTimeLocal(e.target.value))}
+                className="w-full px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 outline-none text-sm"
+            />
+        </div>
+    );
+}
 
-            {/* Lista de Conteúdo */}
-            <div className="flex-1 overflow-y-auto space-y-2 pr-1">
-                {content.length === 0 ? (
-                    <div className="text-center text-gray-400 py-10 border-2 border-dashed border-gray-200 rounded-xl bg-white/50 m-4">
-                        <FolderIcon className="w-12 h-12 mx-auto mb-2 opacity-20" />
-                        <p className="text-sm">Esta pasta está vazia. Crie um novo documento, pasta ou carregue um arquivo.</p>
-                    </div>
-                ) : (
-                    content.map((item) => {
-                        const Icon = item.type === 'folder' 
-                            ? FolderIcon 
-                            : (item.type === 'document' ? DocumentIcon : FileIcon);
-                            
-                        const handleItemClick = item.type === 'folder' 
-                            ? () => onNavigate(item.id) 
-                            : (item.type === 'document' 
-                                ? () => onOpenFile(item.id) 
-                                : () => handleFileClick(item));
+function ItemExpiryModal({ item, onClose, onSave }) {
+    const [expiresAt, setExpiresAt] = useState(item.expiresAt || null);
+    const [burnAfterReading, setBurnAfterReading] = useState(!!item.burnAfterReading);
+    const [error, setError] = useState('');
 
-                        return (
-                            <div
-                                key={item.id}
-                                className="flex items-center justify-between p-3 bg-white rounded-xl shadow-sm hover:bg-blue-50 hover:shadow-md transition cursor-pointer group"
-                                onClick={handleItemClick}
-                                onContextMenu={(e) => handleContextMenu(e, item)}
-                            >
-                                <div className="flex items-center space-x-3 truncate">
-                                    <Icon />
-                                    <span className="truncate text-base text-gray-800 font-medium">{item.name}</span>
-                                </div>
-                                <button
-                                    onClick={(e) => { e.stopPropagation(); handleContextMenu(e, item); }}
-                                    className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-700 opacity-0 group-hover:opacity-100 transition"
-                                    title="Opções"
-                                >
-                                    <ThreeDots />
-                                </button>
-                            </div>
-                        );
-                    })
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (expiresAt && expiresAt <= Date.now()) {
+            setError('Escolha uma data no futuro.');
+            return;
+        }
+        onSave({ expiresAt, burnAfterReading });
+    };
+
+    return (
+        <Modal onClose={onClose}>
+            <form onSubmit={handleSubmit} className="p-6">
+                <h3 className="text-xl font-bold text-gray-800 mb-1 flex items-center gap-2">
+                    <Clock className="w-6 h-6 text-blue-600" /> Expiração
+                </h3>
+                <p className="text-sm text-gray-500 mb-4 truncate">"{item.name}" será apagado definitivamente no prazo escolhido.</p>
+                <ExpiryPicker value={expiresAt} onChange={(value) => { setExpiresAt(value); setError(''); }} />
+                {item.type === 'document' && (
+                    <label className="flex items-start gap-2 mt-4 text-sm text-gray-700 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={burnAfterReading}
+                            onChange={(e) => setBurnAfterReading(e.target.checked)}
+                            className="mt-0.5"
+                        />
+                        <span>
+                            <span className="font-medium flex items-center gap-1"><Flame className="w-4 h-4 text-orange-500" /> Leitura única</span>
+                            <span className="text-xs text-gray-500">Apagar depois que alguém além do autor abrir o documento.</span>
+                        </span>
+                    </label>
                 )}
-            </div>
-            
-            {/* Menu de Contexto Flutuante */}
-            {contextMenu.visible && (
-                <div
-                    className="fixed z-50 bg-white border border-gray-200 rounded-lg shadow-xl py-1 text-sm text-gray-700 w-32"
-                    style={{ top: contextMenu.y, left: contextMenu.x }}
-                    onClick={(e) => e.stopPropagation()}
-                >
-                    <button 
-                        onClick={handleRenameClick} 
-                        className="flex items-center w-full px-4 py-2 hover:bg-gray-100"
+                {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+                <div className="flex justify-end space-x-3 mt-6">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition"
                     >
-                        Renomear
+                        Cancelar
                     </button>
-                    <button 
-                        onClick={handleDeleteClick} 
-                        className="flex items-center w-full px-4 py-2 hover:bg-red-50 text-red-600"
+                    <button
+                        type="submit"
+                        className="px-4 py-2 text-sm font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
                     >
-                        Deletar
+                        Salvar
                     </button>
                 </div>
-            )}
-        </div>
+            </form>
+        </Modal>
     );
 }
 
 // --- Componentes de Modal Customizados ---
 
-function Modal({ children, onClose }) {
+function Modal({ children, onClose, size = 'max-w-sm' }) {
     return (
         <div 
             className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm"
             onClick={onClose}
         >
             <div 
-                className="bg-white rounded-xl shadow-2xl w-full max-w-sm overflow-hidden"
+                className={`bg-white rounded-xl shadow-2xl w-full ${size} overflow-hidden`}
                 onClick={(e) => e.stopPropagation()}
             >
                 {children}
@@ -1048,6 +6968,723 @@ function ConfirmationModal({ message, onConfirm, onCancel, isError = false }) {
     );
 }
 
+// Modal de Busca em toda a sala
+const SEARCH_TYPE_FILTERS = [
+    { value: null, label: 'Tudo' },
+    { value: 'document', label: 'Documentos' },
+    { value: 'file', label: 'Arquivos' },
+    { value: 'folder', label: 'Pastas' },
+];
+const SEARCH_DATE_FILTERS = [
+    { days: 0, label: 'Qualquer data' },
+    { days: 1, label: 'Último dia' },
+    { days: 7, label: 'Últimos 7 dias' },
+    { days: 30, label: 'Últimos 30 dias' },
+    { days: 365, label: 'Último ano' },
+];
+const MAX_SEARCH_RESULTS = 100;
+
+function SearchModal({ allItems, contents, onSelect, onClose }) {
+    const [query, setQuery] = useState('');
+    const [type, setType] = useState(null);
+    const [days, setDays] = useState(0);
+
+    const since = days ? Date.now() - days * DAY_MS : 0;
+    const results = searchRoom(allItems, contents || {}, query, { type, since });
+    const TypeIcon = (itemType) => (itemType === 'folder' ? FolderIconLucide : FileText);
+
+    const highlight = (text, index, length) => (
+        index === -1 ? text : (
+            <>
+                {text.slice(0, index)}
+                <mark className="bg-yellow-200 rounded-sm">{text.slice(index, index + length)}</mark>
+                {text.slice(index + length)}
+            </>
+        )
+    );
+
+    const folderLabel = (item) => ['Raiz', ...getFolderPath(allItems, item.parent).map(f => f.name)].join(' / ');
+
+    return (
+        <Modal onClose={onClose} size="max-w-2xl">
+            <div className="p-6">
+                <div className="flex items-center gap-2 border border-gray-300 rounded-lg px-3 focus-within:ring-2 focus-within:ring-blue-500">
+                    <Search className="w-5 h-5 text-gray-400" />
+                    <input
+                        type="text"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder="Buscar em nomes e documentos..."
+                        className="w-full py-2 outline-none"
+                        autoFocus
+                    />
+                    {contents === null && <Loader2 className="w-4 h-4 animate-spin text-gray-400" />}
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2 mt-3">
+                    {SEARCH_TYPE_FILTERS.map(filter => (
+                        <button
+                            key={filter.label}
+                            onClick={() => setType(filter.value)}
+                            className={`px-3 py-1 text-xs rounded-full transition ${type === filter.value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                        >
+                            {filter.label}
+                        </button>
+                    ))}
+                    <select
+                        value={days}
+                        onChange={(e) => setDays(Number(e.target.value))}
+                        className="ml-auto text-xs border border-gray-300 rounded-lg px-2 py-1"
+                    >
+                        {SEARCH_DATE_FILTERS.map(filter => (
+                            <option key={filter.days} value={filter.days}>{filter.label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="mt-4 max-h-[60vh] overflow-y-auto space-y-2">
+                    {query.trim() && (
+                        <p className="text-xs text-gray-400">
+                            {results.length === 0 ? 'Nenhum resultado.' : `${results.length} resultado(s)`}
+                        </p>
+                    )}
+                    {results.slice(0, MAX_SEARCH_RESULTS).map(({ item, nameIndex, snippets, total }) => {
+                        const Icon = TypeIcon(item.type);
+                        const needleLength = query.trim().length;
+                        return (
+                            <div key={item.id} className="p-3 bg-gray-50 border border-gray-100 rounded-lg">
+                                <button
+                                    onClick={() => onSelect(item, snippets[0] || null, query)}
+                                    className="flex items-center gap-2 w-full text-left"
+                                >
+                                    <Icon className={`w-4 h-4 flex-shrink-0 ${item.type === 'folder' ? 'text-yellow-500' : 'text-blue-500'}`} />
+                                    <span className="font-medium text-gray-800 truncate">{highlight(item.name, nameIndex, needleLength)}</span>
+                                    {total > 0 && <span className="text-xs text-gray-400 flex-shrink-0">{total} ocorrência(s)</span>}
+                                </button>
+                                <p className="text-xs text-gray-400 truncate ml-6">{folderLabel(item)}</p>
+                                {snippets.map(snippet => (
+                                    <button
+                                        key={snippet.index}
+                                        onClick={() => onSelect(item, snippet, query)}
+                                        className="block w-full text-left ml-6 mt-1 px-2 py-1 text-xs text-gray-600 font-mono rounded hover:bg-blue-50 truncate"
+                                    >
+                                        {snippet.before}<mark className="bg-yellow-200 rounded-sm">{snippet.match}</mark>{snippet.after}
+                                    </button>
+                                ))}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
+// Feed do registro de atividades, com filtros por tipo de ação (na consulta), pessoa e nome do item
+// (sobre as páginas já carregadas, pois os nomes podem estar cifrados)
+function ActivityModal({ entries, filter, onFilterChange, hasMore, onLoadMore, currentUid, itemExists, onSelect, onClose }) {
+    const [actorUid, setActorUid] = useState('');
+    const [nameQuery, setNameQuery] = useState('');
+
+    const actors = [...new Map((entries || []).map(entry => [entry.actorUid, entry.actorName])).entries()];
+    const needle = nameQuery.trim().toLowerCase();
+    const visible = (entries || []).filter(entry =>
+        (!actorUid || entry.actorUid === actorUid) &&
+        (!needle || entry.itemName.toLowerCase().includes(needle)));
+
+    const ItemIcon = (itemType) => ({ folder: FolderIconLucide, image: ImageIcon, file: FileText, document: FileText }[itemType] || FileText);
+
+    const describeDetail = (entry) => {
+        if (!entry.detail) return null;
+        if (entry.action === 'renamed') return `(antes: "${entry.detail}")`;
+        if (entry.action === 'moved') return `para ${entry.detail}`;
+        return entry.detail;
+    };
+
+    return (
+        <Modal onClose={onClose} size="max-w-2xl">
+            <div className="p-6">
+                <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+                    <Activity className="w-6 h-6 text-blue-600" /> Atividade da Sala
+                </h3>
+
+                <div className="flex flex-wrap items-center gap-2">
+                    {ACTIVITY_FILTERS.map(option => (
+                        <button
+                            key={option.label}
+                            onClick={() => onFilterChange(option)}
+                            className={`px-3 py-1 text-xs rounded-full transition ${filter === option ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex items-center gap-2 mt-3">
+                    <input
+                        type="text"
+                        value={nameQuery}
+                        onChange={(e) => setNameQuery(e.target.value)}
+                        placeholder="Filtrar pelo nome do item..."
+                        className="flex-1 min-w-0 px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 outline-none text-sm"
+                    />
+                    <select
+                        value={actorUid}
+                        onChange={(e) => setActorUid(e.target.value)}
+                        className="text-xs border border-gray-300 rounded-lg px-2 py-1.5"
+                    >
+                        <option value="">Todas as pessoas</option>
+                        {actors.map(([uid, name]) => (
+                            <option key={uid} value={uid}>{uid === currentUid ? `${name} (você)` : name}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="mt-4 max-h-[60vh] overflow-y-auto divide-y divide-gray-100">
+                    {entries === null && (
+                        <div className="flex items-center justify-center gap-2 py-10 text-gray-400 text-sm">
+                            <Loader2 className="w-4 h-4 animate-spin" /> Carregando...
+                        </div>
+                    )}
+                    {entries !== null && visible.length === 0 && (
+                        <p className="text-sm text-gray-400 text-center py-10">Nenhuma atividade encontrada.</p>
+                    )}
+                    {visible.map(entry => {
+                        const Icon = ItemIcon(entry.itemType);
+                        const exists = itemExists(entry);
+                        return (
+                            <div key={entry.id} className="flex items-start gap-3 py-2.5">
+                                <span className="w-2.5 h-2.5 mt-1.5 rounded-full flex-shrink-0" style={{ backgroundColor: presenceColor(entry.actorUid) }} />
+                                <div className="min-w-0 flex-1 text-sm text-gray-700">
+                                    <span className="font-medium">{entry.actorUid === currentUid ? 'Você' : entry.actorName}</span>
+                                    {' '}{ACTIVITY_ACTIONS[entry.action] || entry.action}{' '}
+                                    {exists ? (
+                                        <button onClick={() => onSelect(entry)} className="inline-flex items-center gap-1 font-medium text-blue-600 hover:underline max-w-full">
+                                            <Icon className="w-3.5 h-3.5 flex-shrink-0" /><span className="truncate">{entry.itemName}</span>
+                                        </button>
+                                    ) : (
+                                        <span className="inline-flex items-center gap-1 font-medium text-gray-500" title="Este item não existe mais">
+                                            <Icon className="w-3.5 h-3.5 flex-shrink-0" /><span className="truncate">{entry.itemName}</span>
+                                        </span>
+                                    )}
+                                    {describeDetail(entry) && <span className="text-gray-500"> {describeDetail(entry)}</span>}
+                                    <div className="text-xs text-gray-400">{safeFormatDateTime(entry.createdAt)}</div>
+                                </div>
+                            </div>
+                        );
+                    })}
+                    {hasMore && (
+                        <div className="py-3 text-center">
+                            <button onClick={onLoadMore} className="text-sm text-blue-600 hover:underline">
+                                Carregar mais
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
+// Modal da Lixeira
+function TrashModal({ trashedItems, trashedImages, retentionDays, onRestore, onPurge, onRestoreImage, onPurgeImage, onEmpty, onClose }) {
+    // Cada entrada é um item apagado diretamente; os descendentes vêm junto com ele
+    const roots = trashedItems
+        .filter(i => i.trashRoot === i.id)
+        .sort((a, b) => b.trashedAt - a.trashedAt);
+    const isEmpty = roots.length === 0 && trashedImages.length === 0;
+
+    const daysLeft = (trashedAt) => Math.max(0, Math.ceil((trashedAt + retentionDays * DAY_MS - Date.now()) / DAY_MS));
+    const typeLabel = { folder: 'Pasta', document: 'Documento', file: 'Arquivo' };
+    const TypeIcon = (type) => (type === 'folder' ? FolderIconLucide : FileText);
+
+    const entryActions = (onRestoreClick, onPurgeClick) => (
+        <div className="flex gap-1 flex-shrink-0">
+            <button onClick={onRestoreClick} className="p-1.5 rounded-lg text-gray-500 hover:bg-blue-50 hover:text-blue-600" title="Restaurar">
+                <ArchiveRestore className="w-4 h-4" />
+            </button>
+            <button onClick={onPurgeClick} className="p-1.5 rounded-lg text-gray-500 hover:bg-red-50 hover:text-red-600" title="Excluir definitivamente">
+                <X className="w-4 h-4" />
+            </button>
+        </div>
+    );
+
+    return (
+        <Modal onClose={onClose} size="max-w-lg">
+            <div className="p-6">
+                <h3 className="text-xl font-bold text-gray-800 mb-1 flex items-center gap-2">
+                    <Trash2 className="w-6 h-6 text-blue-600" /> Lixeira
+                </h3>
+                <p className="text-xs text-gray-500 mb-4">
+                    Os itens são excluídos definitivamente após {retentionDays} {retentionDays === 1 ? 'dia' : 'dias'} na lixeira.
+                </p>
+
+                <div className="max-h-80 overflow-y-auto divide-y divide-gray-100 border border-gray-100 rounded-lg">
+                    {isEmpty && (
+                        <p className="text-sm text-gray-400 text-center py-8">A lixeira está vazia.</p>
+                    )}
+                    {roots.map(root => {
+                        const Icon = TypeIcon(root.type);
+                        const nested = trashedItems.filter(i => i.trashRoot === root.id).length - 1;
+                        return (
+                            <div key={root.id} className="flex items-center gap-3 px-3 py-2">
+                                <Icon className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                                <div className="flex-1 min-w-0">
+                                    <div className="text-sm font-medium text-gray-800 truncate">{root.name}</div>
+                                    <div className="text-xs text-gray-400">
+                                        {typeLabel[root.type] || 'Item'}
+                                        {nested > 0 && ` · +${nested} itens`}
+                                        {` · apagado em ${safeFormatDateTime(root.trashedAt)} · some em ${daysLeft(root.trashedAt)}d`}
+                                    </div>
+                                </div>
+                                {entryActions(() => onRestore(root.id), () => onPurge(root.id))}
+                            </div>
+                        );
+                    })}
+                    {trashedImages.map(img => (
+                        <div key={img.id} className="flex items-center gap-3 px-3 py-2">
+                            <img src={img.thumbnail || img.url} alt="" className="w-10 h-10 object-cover rounded bg-gray-100 flex-shrink-0" />
+                            <div className="flex-1 min-w-0">
+                                <div className="text-sm font-medium text-gray-800 truncate">{img.name || 'Imagem'}</div>
+                                <div className="text-xs text-gray-400">
+                                    {`Imagem · apagada em ${safeFormatDateTime(img.trashedAt)} · some em ${daysLeft(img.trashedAt)}d`}
+                                </div>
+                            </div>
+                            {entryActions(() => onRestoreImage(img), () => onPurgeImage(img))}
+                        </div>
+                    ))}
+                </div>
+
+                <div className="flex justify-between mt-6">
+                    <button
+                        onClick={onEmpty}
+                        disabled={isEmpty}
+                        className="px-4 py-2 text-sm font-semibold text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition disabled:opacity-50"
+                    >
+                        Esvaziar lixeira
+                    </button>
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+                    >
+                        Fechar
+                    </button>
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
+// Árvore de pastas navegável (com nós recolhíveis)
+function FolderTree({ nodes, selectedId, onSelect, disabledIds = [], depth = 0 }) {
+    const [collapsed, setCollapsed] = useState({});
+
+    return nodes.map(({ folder, children }) => {
+        const disabled = disabledIds.includes(folder.id);
+        const isCollapsed = collapsed[folder.id];
+        return (
+            <div key={folder.id}>
+                <div
+                    className={`flex items-center gap-1 py-1 pr-2 rounded-lg text-sm ${folder.id === selectedId ? 'bg-blue-100 text-blue-800 font-semibold' : 'text-gray-700'} ${disabled ? 'opacity-40' : 'hover:bg-gray-100 cursor-pointer'}`}
+                    style={{ paddingLeft: 4 + depth * 16 }}
+                    onClick={() => !disabled && onSelect(folder.id)}
+                >
+                    <button
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            setCollapsed({ ...collapsed, [folder.id]: !isCollapsed });
+                        }}
+                        className={`p-0.5 rounded hover:bg-gray-200 ${children.length === 0 ? 'invisible' : ''}`}
+                    >
+                        {isCollapsed ? <ChevronRight className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                    </button>
+                    <FolderIconLucide className="w-4 h-4 text-yellow-500 flex-shrink-0" />
+                    <span className="truncate">{folder.name}</span>
+                </div>
+                {!isCollapsed && children.length > 0 && (
+                    <FolderTree
+                        nodes={children}
+                        selectedId={selectedId}
+                        onSelect={onSelect}
+                        disabledIds={disabledIds}
+                        depth={depth + 1}
+                    />
+                )}
+            </div>
+        );
+    });
+}
+
+// Modal "Mover para..." com seletor de pastas
+function MoveModal({ item, allItems, onClose, onMove }) {
+    const [targetId, setTargetId] = useState(item.parent ?? null);
+    // A própria pasta e as subpastas dela não podem receber o item
+    const disabledIds = item.type === 'folder' ? [item.id, ...collectDescendantIds(allItems, item.id)] : [];
+    const valid = canMoveItem(allItems, item.id, targetId);
+
+    return (
+        <Modal onClose={onClose}>
+            <div className="p-6">
+                <h3 className="text-xl font-bold text-gray-800 mb-1 flex items-center gap-2">
+                    <FolderInput className="w-6 h-6 text-blue-600" /> Mover "{item.name}"
+                </h3>
+                <p className="text-xs text-gray-500 mb-4">Escolha a pasta de destino.</p>
+                <div className="max-h-72 overflow-y-auto border border-gray-100 rounded-lg p-1">
+                    <div
+                        className={`flex items-center gap-2 py-1 px-2 rounded-lg text-sm cursor-pointer ${targetId === null ? 'bg-blue-100 text-blue-800 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
+                        onClick={() => setTargetId(null)}
+                    >
+                        <FolderIconLucide className="w-4 h-4 text-yellow-500" /> Raiz
+                    </div>
+                    <FolderTree
+                        nodes={buildFolderTree(allItems)}
+                        selectedId={targetId}
+                        onSelect={setTargetId}
+                        disabledIds={disabledIds}
+                        depth={1}
+                    />
+                </div>
+                <div className="flex justify-end space-x-3 mt-6">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+                    >
+                        Cancelar
+                    </button>
+                    <button
+                        onClick={() => onMove(targetId)}
+                        disabled={!valid}
+                        className="px-4 py-2 text-sm font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                    >
+                        Mover
+                    </button>
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
+// Modal de Configurações da Sala (somente o dono)
+function RoomSettingsModal({ slug, roomMeta, onChangePassword, onClose }) {
+    const [password, setPassword] = useState('');
+    const [confirmation, setConfirmation] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState(null); // { text, isError }
+    const hasPassword = !!roomMeta.password;
+    const [retentionDays, setRetentionDays] = useState(String(roomMeta.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS));
+    const [retentionMessage, setRetentionMessage] = useState(null);
+    const [imagePreset, setImagePreset] = useState(roomMeta.imagePreset || DEFAULT_IMAGE_PRESET);
+    const [roomExpiresAt, setRoomExpiresAt] = useState(roomMeta.expiresAt || null);
+    const [expiryMessage, setExpiryMessage] = useState(null);
+    const [editKey, setEditKey] = useState(() => readStoredEditKey(slug));
+    const [editKeyMatches, setEditKeyMatches] = useState(false);
+    const [accessMessage, setAccessMessage] = useState(null);
+    const [copiedLink, setCopiedLink] = useState(null);
+    const roomKey = readKeyFromHash(window.location.hash);
+
+    // A chave lembrada neste navegador pode ser de antes de uma troca feita em outro lugar
+    useEffect(() => {
+        if (!editKey || !roomMeta.editKeyHash) {
+            setEditKeyMatches(false);
+            return;
+        }
+        let cancelled = false;
+        hashEditKey(editKey).then(hash => {
+            if (!cancelled) setEditKeyMatches(hash === roomMeta.editKeyHash);
+        });
+        return () => { cancelled = true; };
+    }, [editKey, roomMeta.editKeyHash]);
+
+    // Criar (ou trocar) a chave de edição: links de edição anteriores passam a abrir como leitor
+    const createEditKey = async () => {
+        const key = generateRoomKey();
+        try {
+            await setDoc(roomMetaDocRef(slug), { editKeyHash: await hashEditKey(key) }, { merge: true });
+            storeEditKey(slug, key);
+            setEditKey(key);
+            setAccessMessage({ text: 'Novo link de edição criado. Envie-o só para quem pode editar.', isError: false });
+        } catch (err) {
+            console.error("Erro ao criar link de edição:", err);
+            setAccessMessage({ text: 'Erro ao criar o link de edição.', isError: true });
+        }
+    };
+
+    const allowEveryoneToEdit = async () => {
+        try {
+            await setDoc(roomMetaDocRef(slug), { editKeyHash: deleteField() }, { merge: true });
+            storeEditKey(slug, null);
+            setEditKey(null);
+            setAccessMessage({ text: 'Qualquer pessoa com o link pode editar de novo.', isError: false });
+        } catch (err) {
+            console.error("Erro ao liberar edição:", err);
+            setAccessMessage({ text: 'Erro ao salvar o acesso.', isError: true });
+        }
+    };
+
+    const copyAccessLink = (which, link) => {
+        navigator.clipboard.writeText(link);
+        setCopiedLink(which);
+        setTimeout(() => setCopiedLink(null), 2000);
+    };
+
+    const accessLinkRow = (which, label, link) => (
+        <div>
+            <span className="text-xs font-medium text-gray-600">{label}</span>
+            <div className="flex items-center gap-1 mt-0.5">
+                <input
+                    readOnly
+                    value={link}
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 min-w-0 px-2 py-1 border border-gray-200 rounded-lg bg-gray-50 text-xs font-mono text-gray-600 outline-none"
+                />
+                <button
+                    type="button"
+                    onClick={() => copyAccessLink(which, link)}
+                    className="p-1.5 text-gray-400 hover:text-blue-600 transition-colors"
+                    title="Copiar link"
+                >
+                    {copiedLink === which ? <Check className="w-4 h-4 text-green-500" /> : <Copy className="w-4 h-4" />}
+                </button>
+            </div>
+        </div>
+    );
+
+    const handleExpirySubmit = async (e) => {
+        e.preventDefault();
+        if (roomExpiresAt && roomExpiresAt <= Date.now()) {
+            setExpiryMessage({ text: 'Escolha uma data no futuro.', isError: true });
+            return;
+        }
+        try {
+            await setDoc(roomMetaDocRef(slug), { expiresAt: roomExpiresAt || deleteField() }, { merge: true });
+            setExpiryMessage({ text: roomExpiresAt ? 'Expiração da sala salva.' : 'A sala não expira mais.', isError: false });
+        } catch (err) {
+            console.error("Erro ao salvar expiração da sala:", err);
+            setExpiryMessage({ text: 'Erro ao salvar a expiração.', isError: true });
+        }
+    };
+
+    const handleImagePresetChange = async (preset) => {
+        setImagePreset(preset);
+        try {
+            await setDoc(roomMetaDocRef(slug), { imagePreset: preset }, { merge: true });
+        } catch (err) {
+            console.error("Erro ao salvar qualidade das imagens:", err);
+        }
+    };
+
+    const handleRetentionSubmit = async (e) => {
+        e.preventDefault();
+        const days = parseInt(retentionDays, 10);
+        if (!(days >= 1)) {
+            setRetentionMessage({ text: 'Informe pelo menos 1 dia.', isError: true });
+            return;
+        }
+        try {
+            await setDoc(roomMetaDocRef(slug), { trashRetentionDays: days }, { merge: true });
+            setRetentionMessage({ text: 'Prazo da lixeira salvo.', isError: false });
+        } catch (err) {
+            console.error("Erro ao salvar prazo da lixeira:", err);
+            setRetentionMessage({ text: 'Erro ao salvar o prazo.', isError: true });
+        }
+    };
+
+    // A sala sai do ar enquanto o conteúdo é movido e volta já no novo escopo
+    const savePassword = async (newPassword) => {
+        setSaving(true);
+        setMessage(null);
+        try {
+            await onChangePassword(newPassword);
+            setPassword('');
+            setConfirmation('');
+            setMessage({ text: newPassword ? 'Senha salva.' : 'Senha removida. A sala está aberta.', isError: false });
+        } catch (e) {
+            console.error("Erro ao salvar senha:", e);
+            setMessage({ text: 'Erro ao salvar a senha.', isError: true });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (password !== confirmation) {
+            setMessage({ text: 'As senhas não conferem.', isError: true });
+            return;
+        }
+        await savePassword(password);
+    };
+
+    return (
+        <Modal onClose={onClose}>
+            <div className="p-6 max-h-[90vh] overflow-y-auto">
+                <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+                    <Settings className="w-6 h-6 text-blue-600" /> Configurações da Sala
+                </h3>
+
+                <h4 className="text-sm font-semibold text-gray-700 mb-1 flex items-center gap-1">
+                    <Lock className="w-4 h-4" /> Senha
+                </h4>
+                <p className="text-xs text-gray-500 mb-3">
+                    {hasPassword
+                        ? 'Visitantes precisam digitar a senha antes de ver o conteúdo.'
+                        : 'A sala está aberta para qualquer pessoa que souber o nome.'}
+                </p>
+                <form onSubmit={handleSubmit} className="space-y-2">
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder={hasPassword ? 'Nova senha' : 'Senha'}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 outline-none transition-shadow"
+                    />
+                    <input
+                        type="password"
+                        value={confirmation}
+                        onChange={(e) => setConfirmation(e.target.value)}
+                        placeholder="Confirme a senha"
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 outline-none transition-shadow"
+                    />
+                    {message && (
+                        <p className={`text-xs ${message.isError ? 'text-red-600' : 'text-green-600'}`}>{message.text}</p>
+                    )}
+                    <div className="flex justify-end space-x-3 pt-2">
+                        {hasPassword && (
+                            <button
+                                type="button"
+                                onClick={() => savePassword(null)}
+                                disabled={saving}
+                                className="px-4 py-2 text-sm font-semibold text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition disabled:opacity-50"
+                            >
+                                Remover senha
+                            </button>
+                        )}
+                        <button
+                            type="submit"
+                            disabled={!password || saving}
+                            className="px-4 py-2 text-sm font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                        >
+                            {hasPassword ? 'Alterar senha' : 'Definir senha'}
+                        </button>
+                    </div>
+                </form>
+
+                <h4 className="text-sm font-semibold text-gray-700 mt-6 pt-4 border-t border-gray-100 mb-1 flex items-center gap-1">
+                    <Eye className="w-4 h-4" /> Acesso
+                </h4>
+                {roomMeta.editKeyHash ? (
+                    <div className="space-y-2">
+                        <p className="text-xs text-gray-500">Quem abrir a sala sem a chave de edição só pode visualizar.</p>
+                        {accessLinkRow('view', 'Link somente leitura', buildRoomLink(slug, { roomKey }))}
+                        {editKey && editKeyMatches
+                            ? accessLinkRow('edit', 'Link de edição', buildRoomLink(slug, { roomKey, editKey }))
+                            : <p className="text-xs text-gray-400">O link de edição atual foi criado em outro navegador. Gere um novo para vê-lo aqui.</p>}
+                        <div className="flex justify-end gap-2 pt-1">
+                            <button
+                                type="button"
+                                onClick={allowEveryoneToEdit}
+                                className="px-3 py-1.5 text-xs font-semibold text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+                            >
+                                Permitir edição a todos
+                            </button>
+                            <button
+                                type="button"
+                                onClick={createEditKey}
+                                className="px-3 py-1.5 text-xs font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+                                title="Quem usava o link de edição anterior passa a ser leitor"
+                            >
+                                Gerar novo link de edição
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <div className="flex items-center gap-2">
+                        <span className="text-xs text-gray-500 flex-1">Qualquer pessoa com o link pode editar.</span>
+                        <button
+                            type="button"
+                            onClick={createEditKey}
+                            className="px-3 py-1.5 text-xs font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+                        >
+                            Criar link somente leitura
+                        </button>
+                    </div>
+                )}
+                {accessMessage && (
+                    <p className={`text-xs mt-1 ${accessMessage.isError ? 'text-red-600' : 'text-green-600'}`}>{accessMessage.text}</p>
+                )}
+
+                <h4 className="text-sm font-semibold text-gray-700 mt-6 pt-4 border-t border-gray-100 mb-1 flex items-center gap-1">
+                    <Trash2 className="w-4 h-4" /> Lixeira
+                </h4>
+                <form onSubmit={handleRetentionSubmit} className="flex items-center gap-2">
+                    <span className="text-xs text-gray-500 flex-1">Excluir definitivamente após</span>
+                    <input
+                        type="number"
+                        min="1"
+                        value={retentionDays}
+                        onChange={(e) => setRetentionDays(e.target.value)}
+                        className="w-20 px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 outline-none text-sm"
+                    />
+                    <span className="text-xs text-gray-500">dias</span>
+                    <button
+                        type="submit"
+                        className="px-3 py-1.5 text-sm font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+                    >
+                        Salvar
+                    </button>
+                </form>
+                {retentionMessage && (
+                    <p className={`text-xs mt-1 ${retentionMessage.isError ? 'text-red-600' : 'text-green-600'}`}>{retentionMessage.text}</p>
+                )}
+
+                <h4 className="text-sm font-semibold text-gray-700 mt-6 pt-4 border-t border-gray-100 mb-1 flex items-center gap-1">
+                    <Clock className="w-4 h-4" /> Expiração da sala
+                </h4>
+                <p className="text-xs text-gray-500 mb-2">No prazo, tudo é apagado (documentos, arquivos e imagens) e o nome /{slug} fica livre.</p>
+                <form onSubmit={handleExpirySubmit} className="space-y-2">
+                    <ExpiryPicker value={roomExpiresAt} onChange={(value) => { setRoomExpiresAt(value); setExpiryMessage(null); }} />
+                    <div className="flex justify-end">
+                        <button
+                            type="submit"
+                            className="px-3 py-1.5 text-sm font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+                        >
+                            Salvar
+                        </button>
+                    </div>
+                </form>
+                {expiryMessage && (
+                    <p className={`text-xs mt-1 ${expiryMessage.isError ? 'text-red-600' : 'text-green-600'}`}>{expiryMessage.text}</p>
+                )}
+
+                <h4 className="text-sm font-semibold text-gray-700 mt-6 pt-4 border-t border-gray-100 mb-1 flex items-center gap-1">
+                    <ImageIcon className="w-4 h-4" /> Imagens da galeria
+                </h4>
+                <div className="flex items-center gap-2">
+                    <span className="text-xs text-gray-500 flex-1">Qualidade das novas imagens</span>
+                    <select
+                        value={imagePreset}
+                        onChange={(e) => handleImagePresetChange(e.target.value)}
+                        className="px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 outline-none text-sm"
+                    >
+                        {Object.entries(IMAGE_PRESETS).map(([key, preset]) => (
+                            <option key={key} value={key}>{preset.label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="flex justify-end mt-6 pt-4 border-t border-gray-100">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+                    >
+                        Fechar
+                    </button>
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
 // Modal de Renomeação
 function RenameModal({ item, onClose, onRename }) {
     const [newName, setNewName] = useState(item.name);